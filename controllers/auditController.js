@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+// Get audit log entries (audit:read)
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, entityType, entityId, user, action, from, to } = req.query;
+
+    const query = {};
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = String(entityId);
+    if (action) {
+      // "product" matches every product action, "product.delete" only deletions
+      query.action = action.includes('.') ? action : { $regex: `^${action.replace(/[^\w-]/g, '')}\\.` };
+    }
+    if (user) {
+      if (!mongoose.Types.ObjectId.isValid(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+      query.actor = user;
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range'
+        });
+      }
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lte = toDate;
+    }
+
+    const logs = await AuditLog.find(query)
+      .populate('actor', 'fullName email role')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: logs,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalLogs: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get a single audit log entry (audit:read)
+export const getAuditLog = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid audit log ID'
+      });
+    }
+
+    const log = await AuditLog.findById(req.params.id).populate('actor', 'fullName email role');
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
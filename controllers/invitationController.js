@@ -0,0 +1,314 @@
+import mongoose from 'mongoose';
+import Invitation, { INVITATION_STATUSES } from '../models/Invitation.js';
+import User from '../models/user.js';
+import { ROLES } from '../utils/permissions.js';
+import { sendTokenResponse } from '../utils/jwt.js';
+import { sendMail, getClientUrl } from '../utils/mailer.js';
+import { resolveSupplierLink } from '../utils/supplierAccounts.js';
+
+const getInvitationExpiryHours = () => Number(process.env.INVITATION_EXPIRE_HOURS || 72);
+
+// Email the acceptance link for a freshly created invitation
+async function sendInvitationEmail(invitation, token, inviter) {
+  const acceptUrl = `${getClientUrl()}/accept-invitation/${token}`;
+
+  return sendMail({
+    type: 'user_invitation',
+    to: invitation.email,
+    subject: 'You have been invited to NS Stores',
+    text: [
+      'Hi,',
+      '',
+      `${inviter.fullName} has invited you to join NS Stores as ${invitation.role.replace(/_/g, ' ')}.`,
+      'Open the link below to set your password and activate your account:',
+      '',
+      acceptUrl,
+      '',
+      `This invitation expires in ${getInvitationExpiryHours()} hours.`,
+      'If you were not expecting this invitation, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+// Find a usable invitation from the emailed token
+const findInvitationByToken = (token) => {
+  return Invitation.findOne({
+    tokenHash: Invitation.hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Invite someone to create an account with a role (roles:manage)
+export const createInvitation = async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const { role } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add an email'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Supplier accounts are invited for one supplier and only see its data
+    const link = await resolveSupplierLink(role, req.body.supplier);
+    if (link.error) {
+      return res.status(link.status).json({
+        success: false,
+        message: link.error
+      });
+    }
+
+    if (await User.exists({ email }).setOptions({ withDeleted: true })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    await Invitation.expireStale();
+    if (await Invitation.exists({ email, status: 'pending' })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A pending invitation already exists for this email, revoke it first'
+      });
+    }
+
+    const token = Invitation.generateToken();
+    const invitation = await Invitation.create({
+      email,
+      role,
+      supplier: link.supplier || undefined,
+      tokenHash: Invitation.hashToken(token),
+      expiresAt: new Date(Date.now() + getInvitationExpiryHours() * 60 * 60 * 1000),
+      invitedBy: req.user._id
+    });
+
+    let emailSent = true;
+    try {
+      await sendInvitationEmail(invitation, token, req.user);
+    } catch (mailError) {
+      console.error('Error sending invitation email:', mailError);
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: emailSent
+        ? 'Invitation sent'
+        : 'Invitation created but the email could not be sent, revoke it and try again',
+      data: invitation
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// List invitations (roles:manage)
+export const getInvitations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, email } = req.query;
+
+    await Invitation.expireStale();
+
+    const query = {};
+    if (status) {
+      if (!INVITATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${INVITATION_STATUSES.join(', ')}`
+        });
+      }
+      query.status = status;
+    }
+    if (email) query.email = String(email).toLowerCase();
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'fullName email')
+      .populate('acceptedUser', 'fullName email')
+      .populate('supplier', 'name company')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Invitation.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: invitations,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalInvitations: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Close a pending invitation as revoked or expired (roles:manage)
+const closeInvitation = (status) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invitation ID'
+      });
+    }
+
+    const updates = { status };
+    if (status === 'revoked') {
+      updates.revokedAt = new Date();
+      updates.revokedBy = req.user._id;
+    } else {
+      updates.expiresAt = new Date();
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      updates,
+      { new: true }
+    );
+
+    if (!invitation) {
+      const exists = await Invitation.findById(req.params.id);
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is already ${exists.status}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Invitation ${status}`,
+      data: invitation
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+export const revokeInvitation = closeInvitation('revoked');
+export const expireInvitation = closeInvitation('expired');
+
+// Look up an invitation from its token so the accept page can show the email and role (Public)
+export const getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await findInvitationByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation link is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Accept an invitation: create the account with the invited role and sign in (Public)
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { fullName, phoneNumber, password } = req.body;
+
+    if (!password || String(password).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    // Claim the invitation first so the same link cannot create two accounts
+    const invitation = await Invitation.findOneAndUpdate(
+      {
+        tokenHash: Invitation.hashToken(req.params.token),
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      },
+      { status: 'accepted', acceptedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation link is invalid or has expired'
+      });
+    }
+
+    let user;
+    try {
+      // The invitation link proves ownership of the email address
+      user = await User.create({
+        fullName,
+        email: invitation.email,
+        phoneNumber,
+        password,
+        role: invitation.role,
+        supplier: invitation.supplier,
+        emailVerified: true
+      });
+    } catch (createError) {
+      await Invitation.updateOne(
+        { _id: invitation._id },
+        { status: 'pending', $unset: { acceptedAt: 1 } }
+      );
+
+      if (createError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'A user with this email already exists'
+        });
+      }
+      throw createError;
+    }
+
+    invitation.acceptedUser = user._id;
+    await invitation.save();
+
+    await sendTokenResponse(user, 201, res);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
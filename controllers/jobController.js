@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import JobRun from '../models/JobRun.js';
+import { listJobs, getJob, runJob } from '../utils/scheduler.js';
+
+// Get registered jobs with their schedule, next run and latest run (jobs:manage)
+export const getJobs = async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.status(200).json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get job run history, optionally for one job (jobs:manage)
+export const getJobRuns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, trigger } = req.query;
+    const job = req.params.name || req.query.job;
+
+    if (req.params.name && !getJob(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const query = {};
+    if (job) query.job = job;
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+
+    const runs = await JobRun.find(query)
+      .populate('triggeredBy', 'fullName email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ startedAt: -1 });
+
+    const total = await JobRun.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: runs,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalRuns: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get a single job run (jobs:manage)
+export const getJobRun = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.runId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job run ID'
+      });
+    }
+
+    const run = await JobRun.findById(req.params.runId).populate('triggeredBy', 'fullName email');
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job run not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Run a job now and wait for it to finish (jobs:manage)
+export const triggerJob = async (req, res) => {
+  try {
+    if (!getJob(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const run = await runJob(req.params.name, { trigger: 'manual', triggeredBy: req.user._id });
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running'
+      });
+    }
+
+    res.status(run.status === 'succeeded' ? 200 : 500).json({
+      success: run.status === 'succeeded',
+      data: run
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
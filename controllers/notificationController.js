@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import {
+  deliverNotification,
+  retryFailedNotifications as retryFailed,
+  getMaxDeliveryAttempts
+} from '../utils/notificationService.js';
+
+// Get sent notifications (Admin only)
+export const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, status, channel, relatedKind, relatedId } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (status) query.status = status;
+    if (channel) query.channel = channel;
+    if (relatedKind) query['relatedTo.kind'] = relatedKind;
+    if (relatedId) query['relatedTo.id'] = relatedId;
+
+    const notifications = await Notification.find(query)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Notification.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: notifications,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalNotifications: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get a single notification (Admin only)
+export const getNotification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const notification = await Notification.findById(req.params.id);
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Retry delivering a failed notification without attachments (Admin only)
+export const retryNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (notification.status === 'sent') {
+      return res.status(400).json({
+        success: false,
+        message: 'Notification has already been sent'
+      });
+    }
+
+    const maxAttempts = getMaxDeliveryAttempts();
+    if (notification.attempts >= maxAttempts) {
+      return res.status(400).json({
+        success: false,
+        message: `Notification has reached the maximum of ${maxAttempts} delivery attempts`
+      });
+    }
+
+    // Attachment content is not stored, so a retry would arrive without it
+    // (the same reason the bulk retry skips these)
+    if (notification.attachments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Notifications with attachments cannot be retried, send them again from their source instead'
+      });
+    }
+
+    const delivered = await deliverNotification(notification);
+
+    res.status(200).json({
+      success: delivered.status === 'sent',
+      message: delivered.status === 'sent' ? 'Notification sent' : `Delivery failed: ${delivered.lastError}`,
+      data: delivered
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Retry every failed notification that still has attempts left (Admin only)
+export const retryFailedNotifications = async (req, res) => {
+  try {
+    const results = await retryFailed({ limit: parseInt(req.body.limit || '50') });
+
+    res.status(200).json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
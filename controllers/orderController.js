@@ -0,0 +1,223 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Quotation from '../models/Quotation.js';
+import { convertQuotationToOrder } from '../utils/orderConversion.js';
+import { restoreStock } from '../utils/stock.js';
+import { hasPermission } from '../utils/permissions.js';
+
+// Convert a quotation into an order (Admin only)
+export const createOrderFromQuotation = async (req, res) => {
+  try {
+    const { quotationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(quotationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quotation ID'
+      });
+    }
+
+    const quotation = await Quotation.findById(quotationId);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const result = await convertQuotationToOrder(quotation, req.user, { notes: req.body.notes });
+    if (!result.order) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        errors: result.errors
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.order
+    });
+  } catch (error) {
+    console.error('Error creating order from quotation:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get all orders (Admin only)
+export const getOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, status } = req.query;
+
+    const filter = {};
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    if (search) {
+      filter.$or = [
+        { orderNumber: { $regex: search, $options: 'i' } },
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const orders = await Order.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('createdBy', 'fullName email');
+
+    const total = await Order.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get orders for the logged-in customer
+export const getMyOrders = async (req, res) => {
+  try {
+    const orders = await Order.find({ customer: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: orders.length,
+      data: orders
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get order by ID (Admin or owner)
+export const getOrder = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const order = await Order.findById(req.params.id)
+      .populate('quotation', 'status createdAt')
+      .populate('createdBy', 'fullName email');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const isOwner = order.customer && order.customer.toString() === req.user._id.toString();
+    if (!hasPermission(req, 'orders:read') && !isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Statuses an order may move to, and the statuses it may move from. Fulfilled
+// orders have shipped, so they cannot be cancelled back into stock.
+const ORDER_STATUS_FROM = {
+  confirmed: ['confirmed', 'fulfilled'],
+  fulfilled: ['confirmed', 'fulfilled'],
+  cancelled: ['confirmed']
+};
+
+// Update order status (Admin only). Cancelling an order puts its stock back.
+export const updateOrderStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (typeof status !== 'string' || !ORDER_STATUS_FROM[status]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Use "confirmed", "fulfilled" or "cancelled"'
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!ORDER_STATUS_FROM[status].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: order.status === 'cancelled'
+          ? 'Cancelled orders cannot be changed'
+          : `A ${order.status} order cannot be ${status}`
+      });
+    }
+
+    // Move the status in one conditional update so only one request can cancel
+    // the order and put its stock back
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: { $in: ORDER_STATUS_FROM[status] } },
+      { status, updatedBy: req.user._id },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order status was changed by another request, reload it and try again'
+      });
+    }
+
+    if (status === 'cancelled') {
+      await restoreStock(updatedOrder.items, {
+        reason: 'order_cancelled',
+        actor: req.user._id,
+        reference: { kind: 'Order', id: updatedOrder._id }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: updatedOrder
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
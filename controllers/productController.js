@@ -1,10 +1,57 @@
 // controllers/productController.js
 import mongoose from 'mongoose';
+import { pipeline } from 'stream/promises';
 import Product from '../models/Product.js';
-
-// Simple admin check: assumes you use `protect` middleware to set req.user
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import StockMovement, { HOLD_MOVEMENT_REASONS } from '../models/StockMovement.js';
+import SupplierProduct from '../models/SupplierProduct.js';
+import { adjustStock } from '../utils/stock.js';
+import { recordStockMovement } from '../utils/stockLedger.js';
+import { buildReorderSuggestions } from '../utils/reorder.js';
+import { queueStockLevelCheck } from '../utils/lowStockAlert.js';
+import { hasPermission } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { sendNotification } from '../utils/notificationService.js';
+import { supplierLowStockTemplate } from '../utils/notificationTemplates.js';
+import {
+  syncProductSupplier,
+  refreshProductLinks,
+  findProductDependents,
+  hasDependents
+} from '../utils/supplierLinks.js';
+import { getHeldQuantities, withAvailability } from '../utils/stockHolds.js';
+import { importProducts as runProductImport, toCsvValues, EXPORT_COLUMNS } from '../utils/productCsv.js';
+import { formatCsvRow } from '../utils/csv.js';
+
+// Staff check for seeing inactive products: assumes you use `protect` middleware to set req.user
 function isAdmin(req) {
-  return !!(req.user && req.user.role === 'admin');
+  return hasPermission(req, 'products:write') || hasPermission(req, 'stock:read');
+}
+
+// Catalogue filters shared by the product list and the CSV export (?category=, ?search=)
+function buildProductFilter(req) {
+  const filter = {};
+  if (!isAdmin(req)) {
+    filter.isActive = true;
+  }
+
+  if (req.query.category) filter.category = req.query.category;
+  if (req.query.search) {
+    filter.$text = { $search: req.query.search };
+  }
+  return filter;
+}
+
+// Supplier ids for filtering reorder suggestions: an array or a comma separated list.
+// Returns { ids } or { error } when an id is not a valid ObjectId.
+function parseSupplierIds(value) {
+  if (value === undefined || value === null || value === '') return { ids: undefined };
+  const ids = (Array.isArray(value) ? value : String(value).split(',')).map(id => String(id).trim()).filter(Boolean);
+  const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length > 0) {
+    return { error: `Invalid supplier ID: ${invalid.join(', ')}` };
+  }
+  return { ids };
 }
 
 // Get all products with optional filtering & pagination
@@ -14,15 +61,7 @@ export async function getProducts(req, res) {
     const limit = Math.max(1, parseInt(req.query.limit || '50'));
     const skip = (page - 1) * limit;
 
-    const filter = {};
-    if (!isAdmin(req)) {
-      filter.isActive = true;
-    }
-
-    if (req.query.category) filter.category = req.query.category;
-    if (req.query.search) {
-      filter.$text = { $search: req.query.search };
-    }
+    const filter = buildProductFilter(req);
 
     const [total, products] = await Promise.all([
       Product.countDocuments(filter),
@@ -33,12 +72,15 @@ export async function getProducts(req, res) {
         .populate('supplier', 'name email phone')
     ]);
 
+    // Expose stock held by active reservations alongside the physical stock
+    const heldQuantities = await getHeldQuantities(products.map(product => product._id));
+
     res.json({
       page,
       limit,
       total,
       pages: Math.ceil(total / limit),
-      products
+      products: products.map(product => withAvailability(product, heldQuantities))
     });
   } catch (err) {
     console.error('getProducts error:', err);
@@ -49,6 +91,73 @@ export async function getProducts(req, res) {
   }
 }
 
+// Stream the filtered catalogue as CSV, in the column layout the import reads
+export const exportProducts = async (req, res) => {
+  try {
+    const filter = buildProductFilter(req);
+    const cursor = Product.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('supplier', 'email')
+      .cursor();
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.csv"`);
+
+    // pipeline handles backpressure and closes the cursor if the client goes away mid-download
+    await pipeline(
+      cursor,
+      async function* (products) {
+        yield formatCsvRow(EXPORT_COLUMNS);
+        for await (const product of products) {
+          yield formatCsvRow(toCsvValues(product));
+        }
+      },
+      res
+    );
+  } catch (error) {
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return; // client disconnected
+    console.error('Error exporting products:', error);
+    if (res.headersSent) {
+      // The CSV is already partly sent, so cut it short rather than pretend it is complete
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Server error while exporting products' });
+  }
+};
+
+// Import products from an uploaded CSV ('file'), upserting by SKU.
+// ?dryRun=true only validates and reports what each row would do.
+export const importProducts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a CSV file' });
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun) === 'true';
+    let report;
+    try {
+      report = await runProductImport(req.file.buffer.toString('utf8'), { dryRun, actor: req.user._id });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (!dryRun) {
+      const { created, updated, failed } = report.summary;
+      await recordAudit(req, {
+        action: 'product.import',
+        entityType: 'product',
+        changes: [],
+        note: `Imported ${req.file.originalname}: ${created} created, ${updated} updated, ${failed} failed (job run ${report.jobRunId})`
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    console.error('Error importing products:', error);
+    res.status(500).json({ message: 'Server error while importing products' });
+  }
+};
+
 // Get a single product by ObjectId or SKU
 export const getProduct = async (req, res) => {
   try {
@@ -72,7 +181,8 @@ export const getProduct = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    res.json(product);
+    const heldQuantities = await getHeldQuantities([product._id]);
+    res.json(withAvailability(product, heldQuantities));
   } catch (error) {
     console.error('Error getting product:', error);
     res.status(500).json({ message: 'Server error while fetching product' });
@@ -83,6 +193,7 @@ export const getProduct = async (req, res) => {
 export const createProduct = async (req, res) => {
   try {
     const productData = req.body || {};
+    delete productData.lowStockAlertSentAt;
 
     if (!productData.sku && productData.category) {
       const categoryAbbr = String(productData.category).substring(0, 3).toUpperCase();
@@ -106,12 +217,24 @@ export const createProduct = async (req, res) => {
     const product = new Product(productData);
     const savedProduct = await product.save();
 
+    if (savedProduct.stock > 0) {
+      await recordStockMovement({
+        product: savedProduct._id,
+        quantity: savedProduct.stock,
+        stockBefore: 0,
+        stockAfter: savedProduct.stock
+      }, { reason: 'initial_stock', actor: req.user && req.user._id });
+    }
+
+    if (savedProduct.supplier) {
+      await syncProductSupplier(savedProduct._id, null, savedProduct.supplier, req.user && req.user._id);
+    }
+
     // Re-query to reliably populate (avoids some mongoose version differences)
     const populated = await Product.findById(savedProduct._id).populate('supplier', 'name email phone');
 
-    if (populated.isLowStock) {
-      console.log('Low stock alert would be sent for:', populated.name);
-    }
+    // Alert admins if the product starts out at or below its minimum stock
+    queueStockLevelCheck(populated);
 
     res.status(201).json(populated);
   } catch (error) {
@@ -138,6 +261,7 @@ export const updateProduct = async (req, res) => {
 
     // disallow SKU changes
     if (req.body && req.body.sku) delete req.body.sku;
+    if (req.body) delete req.body.lowStockAlertSentAt;
 
     const existingProduct = await Product.findById(id);
     if (!existingProduct) {
@@ -161,17 +285,50 @@ export const updateProduct = async (req, res) => {
 
     console.log('Update data:', req.body);
 
+    const supplierBefore = existingProduct.supplier;
+    const before = existingProduct.toObject();
+
+    // Stock moves by the difference from the level read above, through adjustStock,
+    // so orders, receipts and reservations that change it meanwhile are kept
+    const { stock, ...fields } = req.body || {};
+    const stockDelta = stock === undefined || stock === '' ? 0 : Number(stock) - existingProduct.stock;
+    if (!Number.isInteger(stockDelta) || Number(stock) < 0) {
+      return res.status(400).json({ message: 'Stock must be a whole number that is not negative' });
+    }
+
     // merge fields
-    Object.assign(existingProduct, req.body || {});
+    existingProduct.set(fields);
+    await existingProduct.validate();
+
+    let stockAfter = existingProduct.stock;
+    if (stockDelta !== 0) {
+      const adjusted = await adjustStock(existingProduct._id, stockDelta, {
+        reason: 'product_update',
+        actor: req.user && req.user._id
+      });
+      if (!adjusted) {
+        return res.status(409).json({ message: 'Stock changed while saving, reload the product and try again' });
+      }
+      stockAfter = adjusted.stock;
+    }
 
     const updatedProduct = await existingProduct.save();
 
+    await syncProductSupplier(updatedProduct._id, supplierBefore, updatedProduct.supplier, req.user && req.user._id);
+
+    await recordAudit(req, {
+      action: 'product.update',
+      entityType: 'product',
+      entityId: updatedProduct._id,
+      before,
+      after: { ...updatedProduct.toObject(), stock: stockAfter }
+    });
+
     // Re-query to populate safely
     const populated = await Product.findById(updatedProduct._id).populate('supplier', 'name email phone');
 
-    if (populated.isLowStock) {
-      console.log('Low stock alert would be sent for:', populated.name);
-    }
+    // Stock or minStock may have changed: alert on crossing the threshold, re-arm after restocking
+    queueStockLevelCheck(populated);
 
     res.json(populated);
   } catch (error) {
@@ -187,11 +344,11 @@ export const updateProduct = async (req, res) => {
   }
 };
 
-// Delete a product (permanent deletion)
+// Delete a product (moves it to the trash; see purgeDeletedRecords for permanent removal)
 export const deleteProduct = async (req, res) => {
   try {
     const { id } = req.params;
-    console.log('Attempting to permanently delete product ID:', id);
+    console.log('Attempting to delete product ID:', id);
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: 'Invalid product ID' });
@@ -203,14 +360,49 @@ export const deleteProduct = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    console.log('Product to be permanently deleted:', product.name);
+    const dependents = await findProductDependents(product._id);
+    const deactivate = String(req.query.deactivate ?? req.body?.deactivate) === 'true';
 
-    // Permanent deletion: remove from database
-    await Product.findByIdAndDelete(id);
+    // Deactivating hides the product from customers but keeps it for its dependents
+    if (deactivate) {
+      const before = product.toObject();
+      product.isActive = false;
+      await product.save();
 
-    console.log('Product permanently deleted:', product.name);
+      await recordAudit(req, {
+        action: 'product.deactivate',
+        entityType: 'product',
+        entityId: product._id,
+        before,
+        after: product
+      });
 
-    res.json({ message: 'Product permanently deleted successfully' });
+      return res.json({ message: 'Product deactivated instead of deleted', product, dependents });
+    }
+
+    if (hasDependents(dependents)) {
+      return res.status(409).json({
+        message: 'Product is still referenced and cannot be deleted',
+        dependents,
+        options: ['Resolve the listed records first', 'Retry with ?deactivate=true to deactivate the product instead']
+      });
+    }
+
+    const before = product.toObject();
+    await product.softDelete(req.user._id);
+    await refreshProductLinks(product._id);
+
+    await recordAudit(req, {
+      action: 'product.delete',
+      entityType: 'product',
+      entityId: product._id,
+      before,
+      after: product
+    });
+
+    console.log('Product moved to trash:', product.name);
+
+    res.json({ message: 'Product moved to trash successfully' });
   } catch (error) {
     console.error('Error deleting product:', error);
     if (error.name === 'CastError') {
@@ -220,6 +412,74 @@ export const deleteProduct = async (req, res) => {
   }
 };
 
+// List products in the trash
+export const getDeletedProducts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search } = req.query;
+
+    const query = {};
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { sku: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const products = await Product.findDeleted(query)
+      .populate('deletedBy', 'fullName email')
+      .sort({ deletedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Product.countDocuments({ ...query, deletedAt: { $ne: null } });
+
+    res.json({
+      products,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalProducts: total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching deleted products:', error);
+    res.status(500).json({ message: 'Server error while fetching deleted products' });
+  }
+};
+
+// Restore a product from the trash
+export const restoreProduct = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid product ID' });
+    }
+
+    const product = await Product.findDeletedById(id);
+    if (!product) {
+      return res.status(404).json({ message: 'Deleted product not found' });
+    }
+
+    const before = product.toObject();
+    await product.restore();
+    await refreshProductLinks(product._id);
+
+    await recordAudit(req, {
+      action: 'product.restore',
+      entityType: 'product',
+      entityId: product._id,
+      before,
+      after: product
+    });
+
+    res.json({ message: 'Product restored successfully', product });
+  } catch (error) {
+    console.error('Error restoring product:', error);
+    res.status(500).json({ message: 'Server error while restoring product' });
+  }
+};
+
 // Check for low stock products
 export const checkLowStock = async (req, res) => {
   try {
@@ -229,9 +489,8 @@ export const checkLowStock = async (req, res) => {
       stock: { $gt: 0 }
     }).populate('supplier');
 
-    lowStockProducts.forEach(product => {
-      console.log('Low stock alert would be sent for:', product.name);
-    });
+    // Alerts are de-duplicated, so products already reported are not alerted again
+    lowStockProducts.forEach(product => queueStockLevelCheck(product));
 
     res.json({
       count: lowStockProducts.length,
@@ -243,15 +502,172 @@ export const checkLowStock = async (req, res) => {
   }
 };
 
+// Get reorder suggestions for low stock products, grouped by supplier
+export const getReorderSuggestions = async (req, res) => {
+  try {
+    const { targetMultiplier, consumptionDays, leadTimeDays, supplier } = req.query;
+
+    const { ids: supplierIds, error } = parseSupplierIds(supplier);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const suggestions = await buildReorderSuggestions({
+      targetMultiplier,
+      consumptionDays,
+      leadTimeDays,
+      supplierIds
+    });
+
+    res.json({
+      count: suggestions.suppliers.reduce((sum, group) => sum + group.products.length, 0),
+      ...suggestions
+    });
+  } catch (error) {
+    console.error('Error building reorder suggestions:', error);
+    res.status(500).json({ message: 'Server error while building reorder suggestions' });
+  }
+};
+
+// Turn reorder suggestions into draft purchase orders, one per supplier.
+// With notify, each supplier is also sent a low-stock notification naming its order.
+// Body: { supplierIds?, targetMultiplier?, consumptionDays?, leadTimeDays?, unitCosts?: { [productId]: cost }, notify? }
+export const createReorderPurchaseOrders = async (req, res) => {
+  try {
+    const { targetMultiplier, consumptionDays, leadTimeDays, unitCosts = {}, notify } = req.body || {};
+
+    const { ids: supplierIds, error } = parseSupplierIds((req.body || {}).supplierIds);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (typeof unitCosts !== 'object' || unitCosts === null || Array.isArray(unitCosts)) {
+      return res.status(400).json({ message: 'unitCosts must be an object of product ID to unit cost' });
+    }
+
+    const suggestions = await buildReorderSuggestions({
+      targetMultiplier,
+      consumptionDays,
+      leadTimeDays,
+      supplierIds
+    });
+
+    // Build and validate every purchase order first so a bad unit cost cannot leave
+    // some suppliers ordered and others not
+    const planned = [];
+    const skipped = [];
+    const invalid = [];
+    for (const group of suggestions.suppliers) {
+      if (!group.supplier) {
+        skipped.push({ supplier: null, products: group.products.map(p => p.name), reason: 'Products have no supplier' });
+        continue;
+      }
+      if (!group.supplier.isActive) {
+        skipped.push({ supplier: group.supplier.name, products: group.products.map(p => p.name), reason: 'Supplier is inactive' });
+        continue;
+      }
+
+      const purchaseOrder = new PurchaseOrder({
+        poNumber: PurchaseOrder.generatePoNumber(),
+        supplier: group.supplier._id,
+        lines: group.products.map(product => ({
+          product: product.product,
+          name: product.name,
+          quantityOrdered: product.suggestedQuantity,
+          unitCost: Number(unitCosts[product.product.toString()] ?? product.lastUnitCost ?? 0)
+        })),
+        notes: 'Created from reorder suggestions',
+        createdBy: req.user._id
+      });
+
+      const validationError = purchaseOrder.validateSync();
+      if (validationError) {
+        invalid.push({
+          supplier: group.supplier._id,
+          errors: Object.values(validationError.errors).map(val => val.message)
+        });
+      }
+      planned.push({ group, purchaseOrder });
+    }
+
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: 'No purchase orders were created', errors: invalid });
+    }
+
+    const purchaseOrders = [];
+    const notifications = [];
+    const supplierChannels = process.env.SUPPLIER_NOTIFICATION_CHANNELS
+      ? process.env.SUPPLIER_NOTIFICATION_CHANNELS.split(',')
+      : undefined;
+    for (const { group, purchaseOrder } of planned) {
+      await purchaseOrder.save();
+      purchaseOrders.push(purchaseOrder);
+
+      // Tell the supplier what is running low and what we are about to order
+      if (notify) {
+        const { subject, text, html } = supplierLowStockTemplate({
+          supplier: group.supplier,
+          products: group.products,
+          message: [
+            `We are preparing purchase order ${purchaseOrder.poNumber} for:`,
+            ...group.products.map(product => `- ${product.name} x ${product.suggestedQuantity}`)
+          ].join('\n')
+        });
+
+        const sent = await sendNotification({
+          type: 'supplier_low_stock',
+          to: group.supplier.email,
+          subject,
+          text,
+          html,
+          channels: supplierChannels,
+          relatedTo: { kind: 'Supplier', id: group.supplier._id },
+          supplier: group.supplier._id,
+          metadata: {
+            supplierId: group.supplier._id,
+            purchaseOrderId: purchaseOrder._id,
+            products: group.products.map(p => ({ id: p.product, name: p.name, stock: p.stock, minStock: p.minStock, quantity: p.suggestedQuantity }))
+          },
+          createdBy: req.user._id
+        });
+
+        notifications.push({
+          supplier: group.supplier._id,
+          purchaseOrder: purchaseOrder._id,
+          notificationIds: sent.map(notification => notification._id),
+          delivered: sent.some(notification => notification.status === 'sent')
+        });
+      }
+    }
+
+    res.status(201).json({
+      count: purchaseOrders.length,
+      purchaseOrders,
+      skipped,
+      notifications
+    });
+  } catch (error) {
+    console.error('Error creating reorder purchase orders:', error);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ message: errors.join(', ') });
+    }
+    res.status(500).json({ message: 'Server error while creating reorder purchase orders' });
+  }
+};
+
 // Update product stock
 export const updateStock = async (req, res) => {
   try {
-    const { operation, quantity } = req.body;
+    const { operation, quantity, note } = req.body;
 
     if (!operation || !quantity || quantity <= 0) {
       return res.status(400).json({ message: 'Valid operation and quantity are required' });
     }
 
+    if (!['add', 'subtract'].includes(operation)) {
+      return res.status(400).json({ message: 'Invalid operation. Use "add" or "subtract"' });
+    }
+
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(400).json({ message: 'Invalid product ID' });
     }
@@ -259,24 +675,27 @@ export const updateStock = async (req, res) => {
     const product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ message: 'Product not found' });
 
-    if (operation === 'add') {
-      product.stock += Number(quantity);
-    } else if (operation === 'subtract') {
-      if (product.stock < Number(quantity)) {
-        return res.status(400).json({ message: 'Insufficient stock' });
-      }
-      product.stock -= Number(quantity);
-    } else {
-      return res.status(400).json({ message: 'Invalid operation. Use "add" or "subtract"' });
+    // A subtraction cannot use up stock held for reservations
+    const delta = operation === 'add' ? Number(quantity) : -Number(quantity);
+    const held = delta < 0 ? (await getHeldQuantities([product._id])).get(product._id.toString()) || 0 : 0;
+    const updatedProduct = await adjustStock(product._id, delta, {
+      reason: 'manual_adjustment',
+      actor: req.user._id,
+      note
+    }, { reserve: held });
+
+    if (!updatedProduct) {
+      const current = await Product.findById(product._id).select('stock');
+      return res.status(400).json({
+        message: 'Insufficient stock',
+        held,
+        available: current ? Math.max(0, current.stock - held) : 0
+      });
     }
 
-    const updatedProduct = await product.save();
+    // adjustStock takes care of the low stock alert
     const populated = await Product.findById(updatedProduct._id).populate('supplier', 'name email phone');
 
-    if (populated.isLowStock) {
-      console.log('Low stock alert would be sent for:', populated.name);
-    }
-
     res.json(populated);
   } catch (error) {
     console.error('Error updating stock:', error);
@@ -287,6 +706,116 @@ export const updateStock = async (req, res) => {
   }
 };
 
+// Get the suppliers a product can be sourced from, preferred first then cheapest
+export const getProductSourcing = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid product ID' });
+    }
+
+    const product = await Product.findById(id).select('name sku category price stock minStock supplier');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const links = await SupplierProduct.find({ product: product._id })
+      .populate('supplier', 'name company email phone isActive agreementEndDate');
+
+    const today = new Date();
+    const suppliers = links
+      .filter(link => link.supplier) // suppliers in the trash populate as null
+      .map(link => ({
+        supplier: link.supplier,
+        supplierSku: link.supplierSku,
+        costPrice: link.costPrice ?? null,
+        leadTimeDays: link.leadTimeDays ?? null,
+        isPreferred: link.isPreferred,
+        agreementExpired: link.supplier.agreementEndDate < today,
+        margin: link.costPrice !== undefined && link.costPrice !== null
+          ? Math.round((product.price - link.costPrice) * 100) / 100
+          : null
+      }))
+      .sort((a, b) => {
+        if (a.isPreferred !== b.isPreferred) return a.isPreferred ? -1 : 1;
+        return (a.costPrice ?? Infinity) - (b.costPrice ?? Infinity);
+      });
+
+    res.json({ product, suppliers });
+  } catch (error) {
+    console.error('Error getting product sourcing:', error);
+    res.status(500).json({ message: 'Server error while fetching product sourcing' });
+  }
+};
+
+// Get the stock movement history of a product, optionally filtered by date range, reason and kind
+export const getStockHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid product ID' });
+    }
+
+    const product = await Product.findById(id).select('name sku stock');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page || '1'));
+    const limit = Math.max(1, parseInt(req.query.limit || '50'));
+    const skip = (page - 1) * limit;
+
+    const filter = { product: product._id };
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+
+      if (Object.values(filter.createdAt).some(date => Number.isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date filter' });
+      }
+    }
+    if (req.query.reason) filter.reason = req.query.reason;
+    if (req.query.kind) {
+      if (!['stock', 'hold'].includes(req.query.kind)) {
+        return res.status(400).json({ message: "Invalid kind filter, use 'stock' or 'hold'" });
+      }
+      // Matched on reason so entries written before kind was stored are included
+      filter.$and = [{ reason: { [req.query.kind === 'hold' ? '$in' : '$nin']: HOLD_MOVEMENT_REASONS } }];
+    }
+
+    const [total, movements, lastBeforeEnd] = await Promise.all([
+      StockMovement.countDocuments(filter),
+      StockMovement.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'fullName email'),
+      // Last movement up to the end of the requested period gives the stock level at that time
+      req.query.to
+        ? StockMovement.findOne({ product: product._id, createdAt: { $lte: filter.createdAt.$lte } })
+          .sort({ createdAt: -1, _id: -1 })
+        : null
+    ]);
+
+    res.json({
+      product,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      // null when the ledger has no movement before the end of the period
+      stockAtEnd: req.query.to ? (lastBeforeEnd ? lastBeforeEnd.stockAfter : null) : product.stock,
+      movements
+    });
+  } catch (error) {
+    console.error('Error getting stock history:', error);
+    res.status(500).json({ message: 'Server error while fetching stock history' });
+  }
+};
+
 // Get product categories
 export const getCategories = async (req, res) => {
   try {
@@ -0,0 +1,435 @@
+import mongoose from 'mongoose';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import Product from '../models/Product.js';
+import { adjustStock } from '../utils/stock.js';
+
+// Validate requested purchase order lines and attach product names.
+// Returns { lines, errors } with per-line errors.
+async function buildPurchaseOrderLines(requestedLines) {
+  const errors = [];
+  const lines = [];
+
+  if (!Array.isArray(requestedLines) || requestedLines.length === 0) {
+    return { lines, errors: [{ message: 'Please add at least one product' }] };
+  }
+
+  for (const [index, line] of requestedLines.entries()) {
+    const productId = line && (line.product || line.productId);
+    const quantity = Number(line && (line.quantityOrdered ?? line.quantity));
+    const unitCost = Number(line && line.unitCost);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      errors.push({ line: index, productId, message: 'Invalid product ID' });
+      continue;
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.push({ line: index, productId, message: 'Quantity must be a positive whole number' });
+      continue;
+    }
+    if (line.unitCost === undefined || Number.isNaN(unitCost) || unitCost < 0) {
+      errors.push({ line: index, productId, message: 'Unit cost must be zero or more' });
+      continue;
+    }
+
+    const product = await Product.findById(productId).select('name');
+    if (!product) {
+      errors.push({ line: index, productId, message: 'Product not found' });
+      continue;
+    }
+
+    lines.push({ product: product._id, name: product.name, quantityOrdered: quantity, unitCost });
+  }
+
+  return { lines, errors };
+}
+
+// Create a draft purchase order for a supplier (Admin only)
+export const createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplier: supplierId, lines, expectedDeliveryDate, notes } = req.body;
+
+    if (!supplierId || !mongoose.Types.ObjectId.isValid(supplierId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const supplier = await Supplier.findById(supplierId);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+    if (!supplier.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot order from an inactive supplier'
+      });
+    }
+
+    const built = await buildPurchaseOrderLines(lines);
+    if (built.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some purchase order lines are invalid',
+        errors: built.errors
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.create({
+      poNumber: PurchaseOrder.generatePoNumber(),
+      supplier: supplier._id,
+      lines: built.lines,
+      expectedDeliveryDate,
+      notes,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get all purchase orders (Admin only)
+export const getPurchaseOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, supplier } = req.query;
+
+    const query = {};
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+    if (supplier) {
+      query.supplier = supplier;
+    }
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('supplier', 'name company email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await PurchaseOrder.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: purchaseOrders,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalPurchaseOrders: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get a single purchase order by ID (Admin only)
+export const getPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('supplier', 'name company email phone')
+      .populate('lines.product', 'name sku stock minStock')
+      .populate('receipts.receivedBy', 'fullName email')
+      .populate('acknowledgedBy', 'fullName email');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Update a draft purchase order (Admin only)
+export const updatePurchaseOrder = async (req, res) => {
+  try {
+    const { lines, expectedDeliveryDate, notes } = req.body;
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be edited'
+      });
+    }
+
+    if (lines !== undefined) {
+      const built = await buildPurchaseOrderLines(lines);
+      if (built.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some purchase order lines are invalid',
+          errors: built.errors
+        });
+      }
+      purchaseOrder.lines = built.lines;
+    }
+    if (expectedDeliveryDate !== undefined) purchaseOrder.expectedDeliveryDate = expectedDeliveryDate;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+    purchaseOrder.updatedBy = req.user._id;
+
+    const updatedPurchaseOrder = await purchaseOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: updatedPurchaseOrder
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Send or cancel a purchase order (Admin only)
+export const updatePurchaseOrderStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!purchaseOrder.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change purchase order status from ${purchaseOrder.status} to ${status}`
+      });
+    }
+
+    purchaseOrder.status = status;
+    if (status === 'sent') purchaseOrder.sentAt = new Date();
+    if (status === 'cancelled') purchaseOrder.cancelledAt = new Date();
+    purchaseOrder.updatedBy = req.user._id;
+
+    const updatedPurchaseOrder = await purchaseOrder.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Purchase order ${status}`,
+      data: updatedPurchaseOrder
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Record a goods-received note and add the received quantities to stock (Admin only)
+export const receiveGoods = async (req, res) => {
+  try {
+    const { lines, reference, note } = req.body;
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Goods can only be received against sent purchase orders'
+      });
+    }
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add at least one received line'
+      });
+    }
+
+    // Validate every line before touching stock
+    const errors = [];
+    const receivedLines = [];
+    for (const [index, line] of lines.entries()) {
+      const productId = line && (line.product || line.productId);
+      const quantity = Number(line && line.quantity);
+      const orderLine = purchaseOrder.lines.find(l => productId && l.product.toString() === String(productId));
+
+      if (!orderLine) {
+        errors.push({ line: index, productId, message: 'Product is not on this purchase order' });
+        continue;
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        errors.push({ line: index, productId, message: 'Quantity must be a positive whole number' });
+        continue;
+      }
+
+      const alreadyQueued = receivedLines
+        .filter(received => received.orderLine === orderLine)
+        .reduce((sum, received) => sum + received.quantity, 0);
+      const outstanding = orderLine.quantityOrdered - orderLine.quantityReceived - alreadyQueued;
+      if (quantity > outstanding) {
+        errors.push({ line: index, productId, outstanding, message: 'Received quantity exceeds the outstanding quantity' });
+        continue;
+      }
+
+      receivedLines.push({ orderLine, product: orderLine.product, quantity });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some received lines are invalid',
+        errors
+      });
+    }
+
+    // Claim the quantities on the purchase order first, in one conditional update:
+    // it only matches while every line still has that much outstanding, so
+    // concurrent receipts can never receive more than was ordered
+    const quantities = new Map();
+    for (const received of receivedLines) {
+      quantities.set(received.orderLine, (quantities.get(received.orderLine) || 0) + received.quantity);
+    }
+
+    const receipt = {
+      _id: new mongoose.Types.ObjectId(),
+      receivedAt: new Date(),
+      receivedBy: req.user._id,
+      reference,
+      note,
+      lines: receivedLines.map(({ product, quantity }) => ({ product, quantity }))
+    };
+
+    const filter = { _id: purchaseOrder._id, status: { $in: ['sent', 'partially_received'] }, $and: [] };
+    const increments = {};
+    const arrayFilters = [];
+    [...quantities.entries()].forEach(([orderLine, quantity], index) => {
+      filter.$and.push({
+        lines: {
+          $elemMatch: {
+            _id: orderLine._id,
+            quantityOrdered: orderLine.quantityOrdered,
+            quantityReceived: { $lte: orderLine.quantityOrdered - quantity }
+          }
+        }
+      });
+      increments[`lines.$[line${index}].quantityReceived`] = quantity;
+      arrayFilters.push({ [`line${index}._id`]: orderLine._id });
+    });
+
+    const claimed = await PurchaseOrder.findOneAndUpdate(
+      filter,
+      {
+        $inc: increments,
+        $push: { receipts: receipt },
+        $set: { status: 'partially_received', updatedBy: req.user._id }
+      },
+      { new: true, arrayFilters }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'The purchase order changed while receiving, reload it and try again'
+      });
+    }
+
+    // Only claimed quantities go into stock; undo everything if a stock update fails
+    const stocked = [];
+    try {
+      for (const received of receivedLines) {
+        const updated = await adjustStock(received.product, received.quantity, {
+          reason: 'supplier_receipt',
+          actor: req.user._id,
+          reference: { kind: 'PurchaseOrder', id: purchaseOrder._id },
+          note: reference
+        });
+        if (!updated) {
+          throw new Error(`Product ${received.product} no longer exists`);
+        }
+        stocked.push(received);
+      }
+    } catch (stockError) {
+      for (const received of stocked) {
+        await adjustStock(received.product, -received.quantity, {
+          reason: 'rollback',
+          actor: req.user._id,
+          reference: { kind: 'PurchaseOrder', id: purchaseOrder._id },
+          note: 'Goods receipt failed'
+        });
+      }
+      const revert = {};
+      Object.entries(increments).forEach(([path, quantity]) => { revert[path] = -quantity; });
+      await PurchaseOrder.updateOne(
+        { _id: purchaseOrder._id },
+        { $inc: revert, $pull: { receipts: { _id: receipt._id } } },
+        { arrayFilters }
+      );
+      // Back to 'sent' when no other receipt got in meanwhile
+      await PurchaseOrder.updateOne(
+        { _id: purchaseOrder._id, status: 'partially_received', 'lines.quantityReceived': { $not: { $gt: 0 } } },
+        { status: 'sent' }
+      );
+      throw stockError;
+    }
+
+    // The receipt that takes the last line to its ordered quantity closes the order
+    if (claimed.lines.every(line => line.quantityReceived >= line.quantityOrdered)) {
+      await PurchaseOrder.updateOne(
+        { _id: purchaseOrder._id },
+        { status: 'received', receivedAt: new Date() }
+      );
+    }
+
+    const updatedPurchaseOrder = await PurchaseOrder.findById(purchaseOrder._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Goods received successfully',
+      data: updatedPurchaseOrder
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,7 +1,135 @@
+import mongoose from 'mongoose';
 import Quotation from '../models/Quotation.js';
 import Product from '../models/Product.js';
+import { convertQuotationToOrder } from '../utils/orderConversion.js';
+import { generateQuotationPdf, getQuotationTotals, getQuotationValidUntil } from '../utils/quotationPdf.js';
+import { sendNotification } from '../utils/notificationService.js';
+import { calculateQuotationTotals, diffQuotationRevisions } from '../utils/quotationPricing.js';
+import { hasPermission } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+
+// Statuses in which a quotation can be emailed to the customer
+const EMAILABLE_STATUSES = ['processing', 'completed'];
+
+// Staff with quotations:read can access any quotation; customers only the ones they own
+function canAccessQuotation(req, quotation) {
+  return hasPermission(req, 'quotations:read') || quotation.isOwnedBy(req.user);
+}
+
+// Plain copy of the pricing fields that revisions track
+function getPricingSnapshot(quotation) {
+  return {
+    items: (quotation.items || []).map(item => ({
+      product: item.product,
+      productId: item.productId,
+      category: item.category,
+      quantity: item.quantity,
+      price: item.price,
+      discountPercent: item.discountPercent || 0,
+      subtotal: item.subtotal
+    })),
+    discountPercent: quotation.discountPercent || 0,
+    taxRate: quotation.taxRate || 0,
+    validUntil: quotation.validUntil
+  };
+}
+
+// Validate a percentage field from the request body (undefined keeps the current value)
+function parsePercent(value, label) {
+  if (value === undefined) return { value: undefined };
+  const number = Number(value);
+  if (value === null || value === '' || Number.isNaN(number) || number < 0 || number > 100) {
+    return { error: `${label} must be between 0 and 100` };
+  }
+  return { value: number };
+}
+
+// Email the quotation PDF to the customer and record when it was sent
+async function sendQuotationEmail(quotation, user) {
+  const pdf = await generateQuotationPdf(quotation);
+  const { total } = getQuotationTotals(quotation);
+  const validUntil = getQuotationValidUntil(quotation).toISOString().split('T')[0];
+
+  const channels = process.env.QUOTATION_EMAIL_CHANNELS
+    ? process.env.QUOTATION_EMAIL_CHANNELS.split(',')
+    : undefined;
+
+  const notifications = await sendNotification({
+    type: 'quotation',
+    to: quotation.email,
+    subject: `Your NS Stores quotation (${quotation.status})`,
+    text: [
+      `Dear ${quotation.name},`,
+      '',
+      `Please find attached your quotation from NS Stores. Total: ${total.toFixed(2)}, valid until ${validUntil}.`,
+      ...(quotation.adminNotes ? ['', quotation.adminNotes] : []),
+      '',
+      'Thank you,',
+      'NS Stores'
+    ].join('\n'),
+    attachments: [{
+      filename: `quotation-${quotation._id}.pdf`,
+      content: pdf,
+      contentType: 'application/pdf'
+    }],
+    channels,
+    relatedTo: { kind: 'Quotation', id: quotation._id },
+    createdBy: user._id
+  });
+
+  const delivered = notifications.some(notification => notification.status === 'sent');
+  if (delivered) {
+    quotation.lastEmailedAt = new Date();
+    await quotation.save();
+  }
+
+  return { delivered, notifications };
+}
+
+// Price requested items from the current Product prices.
+// Returns { items, errors } with item-level errors for unknown/inactive products and bad quantities.
+async function priceRequestedItems(requestedItems) {
+  const errors = [];
+  const items = [];
+
+  for (const [index, item] of requestedItems.entries()) {
+    const productId = item && (item.product || item.productId);
+    const quantity = Number(item && item.quantity);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      errors.push({ line: index, productId, message: 'Invalid product ID' });
+      continue;
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.push({ line: index, productId, message: 'Quantity must be a positive whole number' });
+      continue;
+    }
+
+    // Get product data from database using the product ID
+    const productData = await Product.findById(productId).select('name category price isActive');
+    if (!productData) {
+      errors.push({ line: index, productId, message: 'Product not found' });
+      continue;
+    }
+    if (!productData.isActive) {
+      errors.push({ line: index, productId, product: productData.name, message: 'Product is not available' });
+      continue;
+    }
+
+    items.push({
+      product: productData.name,    // Store product name for display
+      productId: String(productData._id),
+      category: productData.category,
+      quantity,
+      price: productData.price      // Price snapshot: later Product price changes don't affect the quotation
+    });
+  }
+
+  return { items, errors };
+}
 
 // Create a new quotation (Customer only)
+// Prices and totals are always computed on the server; client totals and owners are ignored.
 export const createQuotation = async (req, res) => {
   try {
     const {
@@ -12,11 +140,27 @@ export const createQuotation = async (req, res) => {
       address,
       productCategory,
       product,
-      items,
-      notes,
-      totalAmount,
-      createdBy
+      notes
     } = req.body;
+    let { items } = req.body;
+
+    // Multipart submissions (with a file) send items as a JSON string
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Items must be a valid JSON array'
+        });
+      }
+    }
+    if (items !== undefined && items !== null && !Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items must be an array'
+      });
+    }
 
     // If user is authenticated, use their info
     let customerEmail = email;
@@ -27,32 +171,17 @@ export const createQuotation = async (req, res) => {
       customerName = req.user.fullName || req.user.name || name;
     }
 
-    // Calculate total amount and process items
-    let calculatedTotalAmount = 0;
-    let processedItems = [];
-    
-    if (items && items.length > 0) {
-      for (const item of items) {
-        // Get product data from database using the product ID
-        const productData = await Product.findById(item.product);
-        if (productData) {
-          const itemTotal = productData.price * item.quantity;
-          calculatedTotalAmount += itemTotal;
-          
-          processedItems.push({
-            product: productData.name, // Store product name for display
-            productId: item.product,   // Store product ID for reference
-            category: item.category,   // Store category
-            quantity: item.quantity,
-            price: productData.price,
-            subtotal: itemTotal
-          });
-        }
-      }
+    const priced = await priceRequestedItems(items || []);
+    if (priced.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some quotation items are invalid',
+        errors: priced.errors
+      });
     }
 
-    // Use provided totalAmount or calculated amount
-    const finalTotalAmount = totalAmount || calculatedTotalAmount;
+    const totals = calculateQuotationTotals({ items: priced.items });
+    const processedItems = totals.items;
 
     const quotation = new Quotation({
       name: customerName,
@@ -63,10 +192,11 @@ export const createQuotation = async (req, res) => {
       productCategory: productCategory || (processedItems.length > 0 ? processedItems[0].category : ''),
       product: product || (processedItems.length > 0 ? processedItems[0].product : ''),
       items: processedItems,
-      totalAmount: finalTotalAmount,
+      totalAmount: totals.totalAmount,
+      pricedAt: new Date(),
       notes,
       fileUrl: req.file ? req.file.path : null,
-      createdBy: createdBy || (req.user ? req.user._id : null)
+      createdBy: req.user ? req.user._id : null
     });
 
     const savedQuotation = await quotation.save();
@@ -140,7 +270,7 @@ export const getQuotationById = async (req, res) => {
     }
     
     // Check if user is admin or the owner of the quotation
-    if (req.user.role !== 'admin' && quotation.createdBy.toString() !== req.user._id.toString()) {
+    if (!canAccessQuotation(req, quotation)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -160,18 +290,11 @@ export const getQuotationById = async (req, res) => {
 };
 
 // Update quotation status (Admin only)
+// Moving a quotation to "completed" converts it into an order and deducts stock.
 export const updateQuotationStatus = async (req, res) => {
   try {
-    const { status, adminNotes } = req.body;
-    const quotation = await Quotation.findByIdAndUpdate(
-      req.params.id,
-      { 
-        status,
-        adminNotes: adminNotes || undefined,
-        updatedBy: req.user._id // Track who updated the quotation
-      },
-      { new: true, runValidators: true }
-    );
+    const { status, adminNotes, sendEmail } = req.body;
+    const quotation = await Quotation.findById(req.params.id);
     
     if (!quotation) {
       return res.status(404).json({
@@ -179,10 +302,363 @@ export const updateQuotationStatus = async (req, res) => {
         message: 'Quotation not found'
       });
     }
+
+    if (quotation.order && status && status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Quotation has already been converted to an order; cancel the order instead'
+      });
+    }
+
+    const before = { status: quotation.status, adminNotes: quotation.adminNotes, order: quotation.order };
+
+    if (adminNotes) quotation.adminNotes = adminNotes;
+
+    if (status === 'completed' && !quotation.order) {
+      const result = await convertQuotationToOrder(quotation, req.user);
+      if (!result.order) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message,
+          errors: result.errors
+        });
+      }
+    } else {
+      if (status) quotation.status = status;
+      quotation.updatedBy = req.user._id; // Track who updated the quotation
+      await quotation.save();
+    }
+
+    await recordAudit(req, {
+      action: 'quotation.status_change',
+      entityType: 'quotation',
+      entityId: quotation._id,
+      before,
+      after: { status: quotation.status, adminNotes: quotation.adminNotes, order: quotation.order }
+    });
+
+    // Optionally email the quotation PDF to the customer as part of the status change
+    let emailed;
+    if (sendEmail && EMAILABLE_STATUSES.includes(quotation.status)) {
+      const result = await sendQuotationEmail(quotation, req.user);
+      emailed = result.delivered;
+    }
     
     res.json({
       success: true,
-      data: quotation
+      data: quotation,
+      emailed
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Revise quotation pricing (Admin only)
+// Each revision is stored as a numbered version together with what changed.
+export const reviseQuotation = async (req, res) => {
+  try {
+    const { items, discountPercent, taxRate, validUntil, validityDays, note } = req.body;
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (quotation.order || ['completed', 'rejected'].includes(quotation.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${quotation.status} quotation cannot be revised`
+      });
+    }
+
+    const previous = getPricingSnapshot(quotation);
+    const next = { ...previous };
+
+    if (items !== undefined) {
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'A quotation must keep at least one item'
+        });
+      }
+
+      const errors = [];
+      const revisedItems = [];
+      for (const [index, item] of items.entries()) {
+        const productId = item && (item.productId || item.product);
+        const existing = previous.items.find(line => line.productId && line.productId === String(productId));
+        const quantity = Number(item && item.quantity);
+        const discount = parsePercent(item && item.discountPercent, 'Line discount');
+
+        if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+          errors.push({ line: index, productId, message: 'Invalid product ID' });
+          continue;
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          errors.push({ line: index, productId, message: 'Quantity must be a positive whole number' });
+          continue;
+        }
+        if (discount.error) {
+          errors.push({ line: index, productId, message: discount.error });
+          continue;
+        }
+
+        let name = existing && existing.product;
+        let category = existing && existing.category;
+        let price = existing && existing.price;
+        if (!existing) {
+          const productData = await Product.findById(productId).select('name category price isActive');
+          if (!productData || !productData.isActive) {
+            errors.push({ line: index, productId, message: 'Product not found' });
+            continue;
+          }
+          name = productData.name;
+          category = productData.category;
+          price = productData.price;
+        }
+
+        if (item.price !== undefined) {
+          price = Number(item.price);
+          if (item.price === null || item.price === '' || Number.isNaN(price) || price < 0) {
+            errors.push({ line: index, productId, message: 'Unit price must be zero or more' });
+            continue;
+          }
+        }
+
+        revisedItems.push({
+          product: name,
+          productId: String(productId),
+          category,
+          quantity,
+          price,
+          discountPercent: discount.value ?? (existing ? existing.discountPercent : 0)
+        });
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some quotation items are invalid',
+          errors
+        });
+      }
+      next.items = revisedItems;
+    }
+
+    const overallDiscount = parsePercent(discountPercent, 'Discount');
+    const tax = parsePercent(taxRate, 'Tax rate');
+    if (overallDiscount.error || tax.error) {
+      return res.status(400).json({
+        success: false,
+        message: overallDiscount.error || tax.error
+      });
+    }
+    if (overallDiscount.value !== undefined) next.discountPercent = overallDiscount.value;
+    if (tax.value !== undefined) next.taxRate = tax.value;
+
+    if (validityDays !== undefined) {
+      const days = Number(validityDays);
+      if (!Number.isInteger(days) || days <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validity period must be a positive number of days'
+        });
+      }
+      next.validUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    } else if (validUntil !== undefined) {
+      const date = new Date(validUntil);
+      if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid until must be a date in the future'
+        });
+      }
+      next.validUntil = date;
+    }
+
+    const changes = diffQuotationRevisions(previous, next);
+    if (changes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No changes to revise'
+      });
+    }
+
+    // Keep the original request as revision 0 so the first revision can be compared against it
+    if (quotation.revisions.length === 0) {
+      const original = calculateQuotationTotals(previous);
+      quotation.revisions.push({
+        ...previous,
+        number: 0,
+        items: original.items,
+        subtotal: original.subtotal,
+        discountAmount: original.discountAmount,
+        taxAmount: original.taxAmount,
+        totalAmount: original.totalAmount,
+        changes: [],
+        note: 'Original quotation',
+        createdAt: quotation.createdAt
+      });
+    }
+
+    const totals = calculateQuotationTotals(next);
+    const number = (quotation.currentRevision || 0) + 1;
+
+    quotation.items = totals.items;
+    quotation.discountPercent = next.discountPercent;
+    quotation.taxRate = next.taxRate;
+    quotation.validUntil = next.validUntil;
+    quotation.totalAmount = totals.totalAmount;
+    quotation.revisions.push({
+      number,
+      items: totals.items,
+      discountPercent: next.discountPercent,
+      taxRate: next.taxRate,
+      validUntil: next.validUntil,
+      subtotal: totals.subtotal,
+      discountAmount: totals.discountAmount,
+      taxAmount: totals.taxAmount,
+      totalAmount: totals.totalAmount,
+      changes,
+      note,
+      createdBy: req.user._id
+    });
+    quotation.currentRevision = number;
+    quotation.customerResponse = undefined; // A new revision needs a new decision
+    if (quotation.status === 'pending') quotation.status = 'processing';
+    quotation.updatedBy = req.user._id;
+
+    const savedQuotation = await quotation.save();
+
+    res.json({
+      success: true,
+      data: savedQuotation
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get revision history of a quotation (Admin or owner)
+export const getQuotationRevisions = async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id)
+      .select('createdBy email currentRevision revisions customerResponse status')
+      .populate('revisions.createdBy', 'fullName');
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (!canAccessQuotation(req, quotation)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currentRevision: quotation.currentRevision,
+        customerResponse: quotation.customerResponse,
+        revisions: quotation.revisions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Accept or decline the latest revision of a quotation (Customer who owns it, or
+// staff with quotations:write recording the customer's decision)
+export const respondToQuotation = async (req, res) => {
+  try {
+    const { decision, revision, reason } = req.body;
+
+    if (!['accept', 'decline'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be "accept" or "decline"'
+      });
+    }
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const isOwner = quotation.isOwnedBy(req.user);
+    if (!isOwner && !hasPermission(req, 'quotations:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (quotation.order || ['completed', 'rejected'].includes(quotation.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This quotation is already ${quotation.status}`
+      });
+    }
+
+    if (revision !== undefined && Number(revision) !== quotation.currentRevision) {
+      return res.status(409).json({
+        success: false,
+        message: `Only the latest revision (${quotation.currentRevision}) can be accepted or declined`
+      });
+    }
+
+    if (decision === 'accept' && quotation.validUntil && quotation.validUntil < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quotation has expired'
+      });
+    }
+
+    quotation.customerResponse = {
+      decision: decision === 'accept' ? 'accepted' : 'declined',
+      revision: quotation.currentRevision,
+      reason,
+      respondedAt: new Date(),
+      recordedBy: isOwner ? undefined : req.user._id
+    };
+
+    const savedQuotation = await quotation.save();
+
+    if (!isOwner) {
+      await recordAudit(req, {
+        action: 'quotation.response_recorded',
+        entityType: 'quotation',
+        entityId: savedQuotation._id,
+        after: { customerResponse: savedQuotation.customerResponse },
+        note: `Recorded on behalf of ${savedQuotation.email}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: savedQuotation
     });
   } catch (error) {
     res.status(400).json({
@@ -192,6 +668,80 @@ export const updateQuotationStatus = async (req, res) => {
   }
 };
 
+// Download quotation as PDF (Admin or owner)
+export const getQuotationPdf = async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (!canAccessQuotation(req, quotation)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const pdf = await generateQuotationPdf(quotation);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="quotation-${quotation._id}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Email quotation PDF to the customer (Admin only)
+export const emailQuotation = async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (!EMAILABLE_STATUSES.includes(quotation.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only processing or completed quotations can be emailed'
+      });
+    }
+
+    const { delivered, notifications } = await sendQuotationEmail(quotation, req.user);
+
+    res.status(delivered ? 200 : 502).json({
+      success: delivered,
+      message: delivered ? `Quotation emailed to ${quotation.email}` : 'Quotation email could not be delivered',
+      data: notifications.map(notification => ({
+        id: notification._id,
+        channel: notification.channel,
+        status: notification.status,
+        error: notification.lastError
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // Delete quotation (Admin only)
 export const deleteQuotation = async (req, res) => {
   try {
@@ -250,13 +800,7 @@ export const getMyQuotations = async (req, res) => {
   try {
     const { page = 1, limit = 10, status } = req.query;
     
-    // Build filter object - include quotations by user ID OR by email
-    const filter = {
-      $or: [
-        { createdBy: req.user._id },
-        { email: req.user.email }
-      ]
-    };
+    const filter = Quotation.ownedByFilter(req.user);
     
     if (status && status !== 'all') {
       filter.status = status;
@@ -1,8 +1,16 @@
+import mongoose from 'mongoose';
 import Product from '../models/Product.js';
 import Supplier from '../models/Supplier.js';
 import User from '../models/user.js';
 import Quotation from '../models/Quotation.js';
 import Reservation from '../models/reservation.js';
+import Order from '../models/Order.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import {
+  getSupplierScorecards as buildSupplierScorecards,
+  getSupplierScorecard as buildSupplierScorecard,
+  SCORECARD_SORTS
+} from '../utils/supplierScorecard.js';
 
 // Product Reports
 export const getProductReports = async (req, res) => {
@@ -165,9 +173,17 @@ export const getSupplierReports = async (req, res) => {
       createdAt: { $gte: startDate }
     });
 
-    // Location distribution
+    // Location distribution by address country and city
     const locationStats = await Supplier.aggregate([
-      { $group: { _id: '$location', count: { $sum: 1 } } },
+      {
+        $group: {
+          _id: {
+            country: { $ifNull: ['$address.country', null] },
+            city: { $ifNull: ['$address.city', null] }
+          },
+          count: { $sum: 1 }
+        }
+      },
       { $sort: { count: -1 } }
     ]);
 
@@ -195,6 +211,180 @@ export const getSupplierReports = async (req, res) => {
   }
 };
 
+// Supplier scorecards ranked by delivery performance (default last 90 days)
+export const getSupplierScorecards = async (req, res) => {
+  try {
+    const { period = '90', sort = 'score', activeOnly } = req.query;
+    const days = parseInt(period);
+
+    if (!Number.isInteger(days) || days <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be a positive number of days'
+      });
+    }
+    if (!SCORECARD_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${Object.keys(SCORECARD_SORTS).join(', ')}`
+      });
+    }
+
+    const scorecards = await buildSupplierScorecards({ days, sort, activeOnly: activeOnly === 'true' });
+
+    res.json({
+      success: true,
+      data: {
+        period: { days },
+        sort,
+        scorecards
+      }
+    });
+  } catch (error) {
+    console.error('Error generating supplier scorecards:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// One supplier's scorecard with its deliveries, price history and low-stock incidents
+export const getSupplierScorecard = async (req, res) => {
+  try {
+    const { period = '90' } = req.query;
+    const days = parseInt(period);
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+    if (!Number.isInteger(days) || days <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be a positive number of days'
+      });
+    }
+
+    const scorecard = await buildSupplierScorecard(req.params.id, { days });
+    if (!scorecard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: scorecard
+    });
+  } catch (error) {
+    console.error('Error generating supplier scorecard:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Open Purchase Order Reports (per supplier, with expected arrival dates)
+export const getPurchaseOrderReports = async (req, res) => {
+  try {
+    const currentDate = new Date();
+    const openStatuses = PurchaseOrder.OPEN_STATUSES;
+
+    const [statusDistribution, openBySupplier, overduePurchaseOrders] = await Promise.all([
+      PurchaseOrder.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      PurchaseOrder.aggregate([
+        { $match: { status: { $in: openStatuses } } },
+        {
+          $addFields: {
+            orderedValue: {
+              $sum: { $map: { input: '$lines', as: 'line', in: { $multiply: ['$$line.quantityOrdered', '$$line.unitCost'] } } }
+            },
+            outstandingValue: {
+              $sum: {
+                $map: {
+                  input: '$lines',
+                  as: 'line',
+                  in: { $multiply: [{ $subtract: ['$$line.quantityOrdered', '$$line.quantityReceived'] }, '$$line.unitCost'] }
+                }
+              }
+            },
+            isOverdue: {
+              $and: [
+                { $ne: ['$status', 'draft'] },
+                { $lt: ['$expectedDeliveryDate', currentDate] },
+                { $ne: [{ $ifNull: ['$expectedDeliveryDate', null] }, null] }
+              ]
+            }
+          }
+        },
+        { $sort: { expectedDeliveryDate: 1 } },
+        {
+          $group: {
+            _id: '$supplier',
+            openPurchaseOrders: { $sum: 1 },
+            orderedValue: { $sum: '$orderedValue' },
+            outstandingValue: { $sum: '$outstandingValue' },
+            overdueCount: { $sum: { $cond: ['$isOverdue', 1, 0] } },
+            nextExpectedDelivery: { $min: '$expectedDeliveryDate' },
+            purchaseOrders: {
+              $push: {
+                _id: '$_id',
+                poNumber: '$poNumber',
+                status: '$status',
+                expectedDeliveryDate: '$expectedDeliveryDate',
+                outstandingValue: '$outstandingValue',
+                isOverdue: '$isOverdue'
+              }
+            }
+          }
+        },
+        {
+          $lookup: {
+            from: 'suppliers',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'supplierInfo'
+          }
+        },
+        { $unwind: '$supplierInfo' },
+        { $project: { 'supplierInfo.productsSupplied': 0 } },
+        { $sort: { nextExpectedDelivery: 1 } }
+      ]),
+      PurchaseOrder.countDocuments({
+        status: { $in: ['sent', 'partially_received'] },
+        expectedDeliveryDate: { $lt: currentDate }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        overview: {
+          openPurchaseOrders: openBySupplier.reduce((sum, supplier) => sum + supplier.openPurchaseOrders, 0),
+          outstandingValue: openBySupplier.reduce((sum, supplier) => sum + supplier.outstandingValue, 0),
+          overduePurchaseOrders
+        },
+        statusDistribution,
+        openBySupplier
+      }
+    });
+  } catch (error) {
+    console.error('Error generating purchase order reports:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // User Reports
 export const getUserReports = async (req, res) => {
   try {
@@ -562,9 +752,9 @@ export const getDashboardOverview = async (req, res) => {
       Reservation.countDocuments({ createdAt: { $gte: thirtyDaysAgo } })
     ]);
 
-    // Revenue calculation
-    const revenueData = await Quotation.aggregate([
-      { $match: { status: 'completed' } },
+    // Revenue calculation (from orders that were not cancelled)
+    const revenueData = await Order.aggregate([
+      { $match: { status: { $ne: 'cancelled' } } },
       { $group: { _id: null, totalRevenue: { $sum: '$totalAmount' } } }
     ]);
 
@@ -601,3 +791,108 @@ export const getDashboardOverview = async (req, res) => {
   }
 };
 
+
+// Customer's own report: quotations, reservations and spend over time
+export const getMyReport = async (req, res) => {
+  try {
+    const months = Math.min(Math.max(parseInt(req.query.months) || 12, 1), 24);
+    const startDate = new Date();
+    startDate.setMonth(startDate.getMonth() - (months - 1), 1);
+    startDate.setHours(0, 0, 0, 0);
+
+    const quotationFilter = Quotation.ownedByFilter(req.user);
+    const reservationFilter = { createdBy: req.user._id };
+    const orderFilter = { customer: req.user._id, status: { $ne: 'cancelled' } };
+
+    const [
+      quotationStatus,
+      reservationStatus,
+      upcomingReservations,
+      spendTotals,
+      monthlySpend
+    ] = await Promise.all([
+      Quotation.aggregate([
+        { $match: quotationFilter },
+        { $group: { _id: '$status', count: { $sum: 1 }, totalAmount: { $sum: '$totalAmount' } } },
+        { $sort: { count: -1 } }
+      ]),
+      Reservation.aggregate([
+        { $match: reservationFilter },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      Reservation.find({
+        ...reservationFilter,
+        status: { $in: Reservation.HOLDING_STATUSES },
+        pickupDate: { $gte: new Date() }
+      }).select('items pickupDate status fulfillment').sort({ pickupDate: 1 }).limit(5),
+      Order.aggregate([
+        { $match: orderFilter },
+        {
+          $group: {
+            _id: null,
+            totalOrders: { $sum: 1 },
+            totalSpend: { $sum: '$totalAmount' },
+            avgOrderValue: { $avg: '$totalAmount' },
+            lastOrderAt: { $max: '$createdAt' }
+          }
+        }
+      ]),
+      Order.aggregate([
+        { $match: { ...orderFilter, createdAt: { $gte: startDate } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
+            orders: { $sum: 1 },
+            spend: { $sum: '$totalAmount' }
+          }
+        }
+      ])
+    ]);
+
+    // Fill months without orders so the series is continuous
+    const spendByMonth = new Map(monthlySpend.map(entry => [entry._id, entry]));
+    const spendOverTime = [];
+    for (let i = months - 1; i >= 0; i--) {
+      const date = new Date();
+      date.setMonth(date.getMonth() - i, 1);
+      const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      const entry = spendByMonth.get(month);
+      spendOverTime.push({
+        month,
+        orders: entry ? entry.orders : 0,
+        spend: entry ? entry.spend : 0
+      });
+    }
+
+    const totals = spendTotals[0] || {};
+
+    res.json({
+      success: true,
+      data: {
+        quotations: {
+          total: quotationStatus.reduce((sum, entry) => sum + entry.count, 0),
+          statusDistribution: quotationStatus
+        },
+        reservations: {
+          total: reservationStatus.reduce((sum, entry) => sum + entry.count, 0),
+          statusDistribution: reservationStatus,
+          upcoming: upcomingReservations
+        },
+        spend: {
+          totalOrders: totals.totalOrders || 0,
+          totalSpend: totals.totalSpend || 0,
+          avgOrderValue: totals.avgOrderValue || 0,
+          lastOrderAt: totals.lastOrderAt || null,
+          overTime: spendOverTime
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error generating customer report:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
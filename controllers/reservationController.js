@@ -1,10 +1,42 @@
 // controllers/JS/reservationController.js
 import Reservation from '../models/reservation.js';
+import { calculateHoldExpiry, checkReservationItems, findOverheldItems, expireLapsedHold } from '../utils/stockHolds.js';
+import { deductStock } from '../utils/stock.js';
+import { recordHoldMovements } from '../utils/stockLedger.js';
+import { hasPermission } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
 
-// Create a new reservation
+// Parse a requested pickup/delivery date; it must be a valid date that is not in the past
+function parsePickupDate(value) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return null;
+
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+  return date >= startOfToday ? date : null;
+}
+
+// Create a new reservation and hold stock for its items
 export const createReservation = async (req, res) => {
   try {
-    const { name, email, phone, address, note } = req.body;
+    const { name, email, phone, address, note, items, pickupDate, fulfillment } = req.body;
+
+    const parsedPickupDate = parsePickupDate(pickupDate);
+    if (!parsedPickupDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add a valid pickup/delivery date that is not in the past'
+      });
+    }
+
+    const checked = await checkReservationItems(items);
+    if (checked.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some items cannot be reserved',
+        errors: checked.errors
+      });
+    }
     
     const reservation = new Reservation({
       name,
@@ -12,10 +44,31 @@ export const createReservation = async (req, res) => {
       phone,
       address,
       note: note || '',
+      items: checked.items,
+      pickupDate: parsedPickupDate,
+      fulfillment,
+      holdExpiresAt: calculateHoldExpiry(parsedPickupDate),
       createdBy: req.user._id
     });
     
     const savedReservation = await reservation.save();
+
+    // The check above ran before saving; make sure concurrent reservations did not take the stock meanwhile
+    const overheld = await findOverheldItems(savedReservation.items);
+    if (overheld.length > 0) {
+      await Reservation.deleteOne({ _id: savedReservation._id });
+      return res.status(400).json({
+        success: false,
+        message: 'Some items cannot be reserved',
+        errors: overheld
+      });
+    }
+
+    await recordHoldMovements(savedReservation.items, {
+      reason: 'reservation_hold',
+      actor: req.user._id,
+      reference: { kind: 'Reservation', id: savedReservation._id }
+    });
     
     res.status(201).json({
       success: true,
@@ -80,8 +133,8 @@ export const getReservation = async (req, res) => {
       });
     }
     
-    // Check if user owns the reservation or is admin
-    if (reservation.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns the reservation or may read all reservations
+    if (reservation.createdBy.toString() !== req.user._id.toString() && !hasPermission(req, 'reservations:read')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this reservation'
@@ -103,7 +156,7 @@ export const getReservation = async (req, res) => {
 // Update a reservation (customer can update their own)
 export const updateReservation = async (req, res) => {
   try {
-    const { name, email, phone, address, note } = req.body;
+    const { name, email, phone, address, note, items, pickupDate, fulfillment } = req.body;
     const reservation = await Reservation.findById(req.params.id);
     
     if (!reservation) {
@@ -122,11 +175,86 @@ export const updateReservation = async (req, res) => {
     }
     
     // Customers can only update these fields
+    const updates = { name, email, phone, address, note, fulfillment };
+
+    // Items and dates can only change while the reservation is still pending
+    if (items !== undefined || pickupDate !== undefined) {
+      if (reservation.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: 'Items and pickup date can only be changed while the reservation is pending'
+        });
+      }
+
+      if (items !== undefined) {
+        const checked = await checkReservationItems(items, reservation._id);
+        if (checked.errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Some items cannot be reserved',
+            errors: checked.errors
+          });
+        }
+        updates.items = checked.items;
+      }
+
+      if (pickupDate !== undefined) {
+        const parsedPickupDate = parsePickupDate(pickupDate);
+        if (!parsedPickupDate) {
+          return res.status(400).json({
+            success: false,
+            message: 'Please add a valid pickup/delivery date that is not in the past'
+          });
+        }
+        updates.pickupDate = parsedPickupDate;
+        updates.holdExpiresAt = calculateHoldExpiry(parsedPickupDate);
+        updates.holdReleasedAt = null;
+      }
+    }
+
+    // Close out a lapsed hold before it is edited, so the ledger shows it expiring
+    // for the items it held
+    if (reservation.isHoldLapsed() && await expireLapsedHold(reservation._id, { actor: req.user._id })) {
+      reservation.holdReleasedAt = reservation.holdExpiresAt;
+    }
+
     const updatedReservation = await Reservation.findByIdAndUpdate(
       req.params.id,
-      { name, email, phone, address, note },
+      updates,
       { new: true, runValidators: true }
     );
+
+    // Swap the old hold for the new one when the items changed, and record a new
+    // hold when a new pickup date brings back a hold that had ended
+    const wasHolding = reservation.isHoldActive();
+    const takesNewHold = updatedReservation.isHoldActive() && (updates.items || !wasHolding);
+
+    if (takesNewHold) {
+      // As on create: make sure concurrent reservations did not take the stock meanwhile
+      const overheld = await findOverheldItems(updatedReservation.items);
+      if (overheld.length > 0) {
+        await Reservation.updateOne(
+          { _id: reservation._id },
+          Object.fromEntries(Object.keys(updates).map(field => [field, reservation[field]]))
+        );
+        return res.status(400).json({
+          success: false,
+          message: 'Some items cannot be reserved',
+          errors: overheld
+        });
+      }
+    }
+
+    const holdContext = {
+      actor: req.user._id,
+      reference: { kind: 'Reservation', id: reservation._id }
+    };
+    if (wasHolding && updates.items) {
+      await recordHoldMovements(reservation.items, { ...holdContext, reason: 'reservation_hold_released' });
+    }
+    if (takesNewHold) {
+      await recordHoldMovements(updatedReservation.items, { ...holdContext, reason: 'reservation_hold' });
+    }
     
     res.status(200).json({
       success: true,
@@ -141,23 +269,103 @@ export const updateReservation = async (req, res) => {
 };
 
 // Update reservation status (admin only)
+// Rejecting or cancelling releases the stock hold; completing deducts the held stock.
 export const updateReservationStatus = async (req, res) => {
   try {
     const { status } = req.body;
-    const reservation = await Reservation.findById(req.params.id);
+    const finalStatuses = ['rejected', 'cancelled', 'completed'];
+
+    if (typeof status !== 'string' || !Reservation.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Use "pending", "confirmed", "rejected", "cancelled" or "completed"'
+      });
+    }
+
+    const current = await Reservation.findById(req.params.id);
     
-    if (!reservation) {
+    if (!current) {
       return res.status(404).json({
         success: false,
         message: 'Reservation not found'
       });
     }
-    
-    const updatedReservation = await Reservation.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
+
+    if (finalStatuses.includes(current.status)) {
+      if (status !== current.status) {
+        return res.status(400).json({
+          success: false,
+          message: `Reservation is already ${current.status}`
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        data: current
+      });
+    }
+
+    const updates = { status };
+    if (finalStatuses.includes(status)) {
+      updates.holdReleasedAt = current.holdReleasedAt || new Date();
+    }
+
+    // Move the status in one conditional update so only one request can close the
+    // reservation; the returned document is the state it was closed from
+    const reservation = await Reservation.findOneAndUpdate(
+      { _id: req.params.id, status: { $nin: finalStatuses } },
+      updates,
+      { new: false, runValidators: true }
     );
+
+    if (!reservation) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reservation status was changed by another request, reload it and try again'
+      });
+    }
+
+    const stockContext = {
+      actor: req.user._id,
+      reference: { kind: 'Reservation', id: reservation._id }
+    };
+
+    if (status === 'completed') {
+      const result = await deductStock(reservation.items.map(item => ({
+        product: item.name,
+        productId: item.product,
+        quantity: item.quantity
+      })), { ...stockContext, reason: 'reservation_fulfilled' }, { excludeReservationId: reservation._id });
+
+      if (!result.success) {
+        // Put the reservation back the way it was so it can be completed later
+        await Reservation.updateOne(
+          { _id: reservation._id, status: 'completed' },
+          { status: reservation.status, holdReleasedAt: reservation.holdReleasedAt }
+        );
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient stock to complete this reservation',
+          errors: result.errors
+        });
+      }
+    }
+
+    if (finalStatuses.includes(status) && reservation.isHoldActive()) {
+      await recordHoldMovements(reservation.items, { ...stockContext, reason: 'reservation_hold_released' });
+    } else if (finalStatuses.includes(status) && reservation.isHoldLapsed()) {
+      // Closed after the hold lapsed but before the expiry job recorded it
+      await recordHoldMovements(reservation.items, { ...stockContext, reason: 'reservation_hold_expired' });
+    }
+
+    const updatedReservation = await Reservation.findById(reservation._id);
+
+    await recordAudit(req, {
+      action: 'reservation.status_change',
+      entityType: 'reservation',
+      entityId: reservation._id,
+      before: { status: reservation.status, holdReleasedAt: reservation.holdReleasedAt },
+      after: { status: updatedReservation.status, holdReleasedAt: updatedReservation.holdReleasedAt }
+    });
     
     res.status(200).json({
       success: true,
@@ -184,6 +392,13 @@ export const deleteReservation = async (req, res) => {
     }
     
     await Reservation.findByIdAndDelete(req.params.id);
+
+    await recordAudit(req, {
+      action: 'reservation.delete',
+      entityType: 'reservation',
+      entityId: reservation._id,
+      before: reservation
+    });
     
     res.status(200).json({
       success: true,
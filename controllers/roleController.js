@@ -0,0 +1,99 @@
+import Role from '../models/Role.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  PERMISSIONS,
+  ROLES,
+  getAllRolePermissions,
+  getPermissionsForRole,
+  clearPermissionCache
+} from '../utils/permissions.js';
+
+// Get every role with its effective permissions (roles:manage)
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await getAllRolePermissions();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        roles,
+        permissions: PERMISSIONS
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Replace the permissions assigned to a role (roles:manage)
+export const updateRolePermissions = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { permissions } = req.body;
+
+    if (!ROLES.includes(name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (name === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role always has every permission'
+      });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions must be an array'
+      });
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(', ')}`
+      });
+    }
+
+    const previousPermissions = await getPermissionsForRole(name);
+
+    const role = await Role.findOneAndUpdate(
+      { name },
+      { permissions: [...new Set(permissions)], updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    clearPermissionCache();
+
+    await recordAudit(req, {
+      action: 'role.permissions_change',
+      entityType: 'role',
+      entityId: name,
+      before: { permissions: previousPermissions },
+      after: { permissions: role.permissions }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role permissions updated',
+      data: {
+        name: role.name,
+        permissions: role.permissions,
+        editable: true
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,12 +1,49 @@
 import Supplier from '../models/Supplier.js';
 import Product from '../models/Product.js';
+import SupplierProduct from '../models/SupplierProduct.js';
 import mongoose from 'mongoose';
+import fs from 'fs';
+import path from 'path';
+import { sendNotification } from '../utils/notificationService.js';
+import { supplierLowStockTemplate } from '../utils/notificationTemplates.js';
+import { isKnownChannel } from '../utils/notificationTransports.js';
+import { recordAudit } from '../utils/audit.js';
+import { getContractsDir, removeContractFile, toContractFile } from '../utils/contractUpload.js';
+import { getAgreementWarningDays } from '../utils/supplierAgreements.js';
+import {
+  syncSupplierProducts,
+  linkSupplierProduct,
+  unlinkSupplierProduct,
+  reassignSupplierProducts,
+  refreshSupplierLinks,
+  findSupplierDependents,
+  hasDependents
+} from '../utils/supplierLinks.js';
+
+// Fields managed by the agreement and trash endpoints, never taken from a request body
+const MANAGED_FIELDS = [
+  'agreements', 'agreementExpiryWarningSentAt', 'deactivatedAt', 'deactivatedReason', 'deletedAt', 'deletedBy'
+];
+
+const getEditableFields = (body = {}) => {
+  const fields = { ...body };
+  MANAGED_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+};
 
 // Add a new supplier
 export const addSupplier = async (req, res) => {
   try {
-    const supplier = new Supplier(req.body);
-    const savedSupplier = await supplier.save();
+    // The first agreement term is recorded from agreementStartDate/agreementEndDate
+    const supplier = new Supplier(getEditableFields(req.body));
+    let savedSupplier = await supplier.save();
+
+    // Links are the source of truth; productsSupplied is rebuilt from them
+    if (savedSupplier.productsSupplied.length > 0) {
+      await syncSupplierProducts(savedSupplier._id, [], savedSupplier.productsSupplied, req.user._id);
+      savedSupplier = await Supplier.findById(savedSupplier._id);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Supplier added successfully',
@@ -65,7 +102,7 @@ export const getSuppliers = async (req, res) => {
 export const getSupplier = async (req, res) => {
   try {
     const supplier = await Supplier.findById(req.params.id)
-      .populate('productsSupplied', 'name category stockQuantity');
+      .populate('productsSupplied', 'name category stock minStock');
     
     if (!supplier) {
       return res.status(404).json({
@@ -89,18 +126,41 @@ export const getSupplier = async (req, res) => {
 // Update a supplier
 export const updateSupplier = async (req, res) => {
   try {
-    const supplier = await Supplier.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-    
+    let supplier = await Supplier.findById(req.params.id);
     if (!supplier) {
       return res.status(404).json({
         success: false,
         message: 'Supplier not found'
       });
     }
+
+    const before = supplier.toObject();
+    supplier.set(getEditableFields(req.body));
+
+    if (supplier.isModified('isActive')) {
+      supplier.deactivatedAt = supplier.isActive ? undefined : new Date();
+      supplier.deactivatedReason = supplier.isActive ? undefined : 'manual';
+    }
+    // A changed end date gets its own expiry warning
+    if (supplier.isModified('agreementEndDate')) {
+      supplier.agreementExpiryWarningSentAt = null;
+    }
+
+    // Saving runs the date validation and keeps the current agreement term in step
+    await supplier.save();
+
+    if (req.body.productsSupplied !== undefined) {
+      await syncSupplierProducts(supplier._id, before.productsSupplied, supplier.productsSupplied, req.user._id);
+      supplier = await Supplier.findById(supplier._id);
+    }
+
+    await recordAudit(req, {
+      action: 'supplier.update',
+      entityType: 'supplier',
+      entityId: supplier._id,
+      before,
+      after: supplier
+    });
     
     res.status(200).json({
       success: true,
@@ -115,11 +175,11 @@ export const updateSupplier = async (req, res) => {
   }
 };
 
-// Remove a supplier (permanent deletion)
+// Remove a supplier (moves it to the trash; see purgeDeletedRecords for permanent removal)
 export const removeSupplier = async (req, res) => {
   try {
     const { id } = req.params;
-    console.log('Attempting to permanently delete supplier ID:', id);
+    console.log('Attempting to delete supplier ID:', id);
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: 'Invalid supplier ID' });
@@ -131,14 +191,76 @@ export const removeSupplier = async (req, res) => {
       return res.status(404).json({ message: 'Supplier not found' });
     }
 
-    console.log('Supplier to be permanently deleted:', supplier.name);
+    const options = { ...req.query, ...(req.body || {}) };
+    const before = supplier.toObject();
+
+    // Deactivating keeps the supplier and its links but stops it being used
+    if (String(options.deactivate) === 'true') {
+      supplier.isActive = false;
+      supplier.deactivatedAt = new Date();
+      supplier.deactivatedReason = 'manual';
+      await supplier.save();
+
+      await recordAudit(req, {
+        action: 'supplier.deactivate',
+        entityType: 'supplier',
+        entityId: supplier._id,
+        before,
+        after: supplier
+      });
+
+      return res.json({ message: 'Supplier deactivated instead of deleted', supplier });
+    }
+
+    const dependents = await findSupplierDependents(supplier._id);
+
+    // Products can be handed to another supplier; open purchase orders cannot
+    let reassignedTo = null;
+    if (options.reassignTo && dependents.purchaseOrders.length === 0) {
+      if (!mongoose.Types.ObjectId.isValid(options.reassignTo) || String(options.reassignTo) === String(supplier._id)) {
+        return res.status(400).json({ message: 'Invalid supplier to reassign products to' });
+      }
+
+      reassignedTo = await Supplier.findOne({ _id: options.reassignTo, isActive: true });
+      if (!reassignedTo) {
+        return res.status(400).json({ message: 'Supplier to reassign products to was not found or is inactive' });
+      }
+
+      await reassignSupplierProducts(supplier._id, reassignedTo._id, req.user._id);
+      dependents.products = [];
+    }
+
+    if (hasDependents(dependents)) {
+      return res.status(409).json({
+        message: 'Supplier still has dependent records and cannot be deleted',
+        dependents,
+        options: [
+          'Retry with ?reassignTo=<supplierId> to move its products to another supplier',
+          'Retry with ?deactivate=true to deactivate the supplier instead',
+          'Cancel or complete its open purchase orders first'
+        ]
+      });
+    }
+
+    // Its links stay for a restore; the caches drop the supplier once it is in the trash
+    await supplier.softDelete(req.user._id);
+    await refreshSupplierLinks(supplier._id);
 
-    // Permanent deletion: remove from database
-    await Supplier.findByIdAndDelete(id);
+    await recordAudit(req, {
+      action: 'supplier.delete',
+      entityType: 'supplier',
+      entityId: supplier._id,
+      before,
+      after: supplier,
+      note: reassignedTo ? `Products reassigned to supplier ${reassignedTo._id}` : undefined
+    });
 
-    console.log('Supplier permanently deleted:', supplier.name);
+    console.log('Supplier moved to trash:', supplier.name);
 
-    res.json({ message: 'Supplier permanently deleted successfully' });
+    res.json({
+      message: 'Supplier moved to trash successfully',
+      reassignedTo: reassignedTo ? reassignedTo._id : undefined
+    });
   } catch (error) {
     console.error('Error deleting supplier:', error);
     if (error.name === 'CastError') {
@@ -166,11 +288,46 @@ export const getExpiredAgreements = async (req, res) => {
   }
 };
 
-// Notify supplier about low stock (console log version)
+// Get active suppliers whose agreement ends within the warning window (?days=, default SUPPLIER_AGREEMENT_WARNING_DAYS)
+export const getExpiringAgreements = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) > 0 ? parseInt(req.query.days) : getAgreementWarningDays();
+    const suppliers = await Supplier.findExpiringAgreements(days).sort({ agreementEndDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: suppliers,
+      count: suppliers.length,
+      days
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Notify supplier about their products that are at or below minimum stock
 export const notifyLowStock = async (req, res) => {
   try {
     const { supplierId } = req.params;
-    const { productIds, message } = req.body;
+    const { productIds, message, channels } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    if (channels !== undefined &&
+        (!Array.isArray(channels) || channels.length === 0 || !channels.every(isKnownChannel))) {
+      return res.status(400).json({
+        success: false,
+        message: 'channels must be a non-empty list of notification channels, e.g. ["email"]'
+      });
+    }
     
     const supplier = await Supplier.findById(supplierId);
     if (!supplier) {
@@ -180,11 +337,22 @@ export const notifyLowStock = async (req, res) => {
       });
     }
     
-    // Get low stock products
-    const lowStockProducts = await Product.find({
-      _id: { $in: productIds },
-      stockQuantity: { $lt: 10 }
-    });
+    // Products linked to this supplier from either side, compared against their own minStock
+    const query = {
+      isActive: true,
+      $expr: { $lte: ['$stock', '$minStock'] },
+      $or: [
+        { supplier: supplier._id },
+        { _id: { $in: supplier.productsSupplied } }
+      ]
+    };
+    if (Array.isArray(productIds) && productIds.length > 0) {
+      query._id = { $in: productIds.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+    }
+
+    const lowStockProducts = await Product.find(query)
+      .select('name sku stock minStock')
+      .sort({ stock: 1 });
     
     if (lowStockProducts.length === 0) {
       return res.status(400).json({
@@ -193,23 +361,55 @@ export const notifyLowStock = async (req, res) => {
       });
     }
     
-    // Log notification instead of sending email
-    console.log('Low Stock Notification for:', supplier.name);
-    console.log('Email:', supplier.email);
-    console.log('Low stock products:', lowStockProducts.map(p => p.name));
-    console.log('Custom message:', message);
+    const { subject, text, html } = supplierLowStockTemplate({
+      supplier,
+      products: lowStockProducts,
+      message
+    });
+
+    const supplierChannels = channels ||
+      (process.env.SUPPLIER_NOTIFICATION_CHANNELS ? process.env.SUPPLIER_NOTIFICATION_CHANNELS.split(',') : undefined);
+
+    const notifications = await sendNotification({
+      type: 'supplier_low_stock',
+      to: supplier.email,
+      subject,
+      text,
+      html,
+      channels: supplierChannels,
+      relatedTo: { kind: 'Supplier', id: supplier._id },
+      supplier: supplier._id,
+      metadata: {
+        supplierId: supplier._id,
+        products: lowStockProducts.map(p => ({ id: p._id, name: p.name, stock: p.stock, minStock: p.minStock }))
+      },
+      createdBy: req.user._id
+    });
+
+    const delivered = notifications.some(notification => notification.status === 'sent');
     
-    res.status(200).json({
-      success: true,
-      message: 'Low stock notification logged successfully',
+    res.status(delivered ? 200 : 502).json({
+      success: delivered,
+      message: delivered
+        ? 'Low stock notification sent successfully'
+        : 'Low stock notification could not be delivered; it can be retried',
       data: {
         supplier: supplier.name,
         email: supplier.email,
         lowStockProducts: lowStockProducts.map(p => ({
           name: p.name,
-          stockQuantity: p.stockQuantity
+          sku: p.sku,
+          stock: p.stock,
+          minStock: p.minStock
         })),
-        customMessage: message
+        customMessage: message,
+        notifications: notifications.map(notification => ({
+          id: notification._id,
+          channel: notification.channel,
+          status: notification.status,
+          attempts: notification.attempts,
+          error: notification.lastError
+        }))
       }
     });
   } catch (error) {
@@ -218,4 +418,467 @@ export const notifyLowStock = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Get suppliers in the trash
+export const getDeletedSuppliers = async (req, res) => {
+  try {
+    const suppliers = await Supplier.findDeleted()
+      .populate('deletedBy', 'fullName email')
+      .sort({ deletedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: suppliers.length,
+      data: suppliers
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Restore a supplier from the trash
+export const restoreSupplier = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const supplier = await Supplier.findDeletedById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted supplier not found'
+      });
+    }
+
+    const before = supplier.toObject();
+    await supplier.restore();
+    await refreshSupplierLinks(supplier._id);
+
+    await recordAudit(req, {
+      action: 'supplier.restore',
+      entityType: 'supplier',
+      entityId: supplier._id,
+      before,
+      after: supplier
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier restored successfully',
+      data: supplier
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Validate supplier catalogue terms from a request body.
+// Returns { attrs, errors }.
+const parseLinkAttributes = (body = {}) => {
+  const attrs = {};
+  const errors = [];
+
+  if (body.supplierSku !== undefined) {
+    attrs.supplierSku = String(body.supplierSku).trim();
+  }
+  if (body.costPrice !== undefined) {
+    const costPrice = Number(body.costPrice);
+    if (body.costPrice === '' || Number.isNaN(costPrice) || costPrice < 0) {
+      errors.push({ field: 'costPrice', message: 'Cost price must be a number of at least 0' });
+    } else {
+      attrs.costPrice = costPrice;
+    }
+  }
+  if (body.leadTimeDays !== undefined) {
+    const leadTimeDays = Number(body.leadTimeDays);
+    if (!Number.isInteger(leadTimeDays) || leadTimeDays < 0) {
+      errors.push({ field: 'leadTimeDays', message: 'Lead time must be a whole number of days' });
+    } else {
+      attrs.leadTimeDays = leadTimeDays;
+    }
+  }
+  if (body.isPreferred !== undefined) {
+    attrs.isPreferred = body.isPreferred === true || body.isPreferred === 'true';
+  }
+
+  return { attrs, errors };
+};
+
+// Get the products a supplier offers with its terms for each
+export const getSupplierCatalogue = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id).select('name company email isActive');
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const links = await SupplierProduct.find({ supplier: supplier._id })
+      .populate('product', 'name sku category price stock minStock isActive')
+      .sort({ createdAt: 1 });
+
+    // Products in the trash populate as null
+    const catalogue = links
+      .filter(link => link.product)
+      .map(link => ({
+        product: link.product,
+        supplierSku: link.supplierSku,
+        costPrice: link.costPrice,
+        leadTimeDays: link.leadTimeDays,
+        isPreferred: link.isPreferred,
+        updatedAt: link.updatedAt
+      }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        supplier,
+        products: catalogue
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Add a product to a supplier's catalogue or change its terms
+export const upsertSupplierCatalogueItem = async (req, res) => {
+  try {
+    const { id, productId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier or product ID'
+      });
+    }
+
+    const [supplier, product] = await Promise.all([
+      Supplier.findById(id),
+      Product.findById(productId).select('name sku')
+    ]);
+    if (!supplier || !product) {
+      return res.status(404).json({
+        success: false,
+        message: supplier ? 'Product not found' : 'Supplier not found'
+      });
+    }
+
+    const { attrs, errors } = parseLinkAttributes(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid catalogue terms',
+        errors
+      });
+    }
+
+    const before = await SupplierProduct.findOne({ supplier: supplier._id, product: product._id });
+    const link = await linkSupplierProduct(supplier._id, product._id, attrs, req.user._id);
+
+    await recordAudit(req, {
+      action: before ? 'supplier.catalogue_update' : 'supplier.catalogue_add',
+      entityType: 'supplier',
+      entityId: supplier._id,
+      before: before ? before.toObject() : {},
+      after: link,
+      note: `Product ${product._id}`
+    });
+
+    res.status(before ? 200 : 201).json({
+      success: true,
+      data: link
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Remove a product from a supplier's catalogue
+export const removeSupplierCatalogueItem = async (req, res) => {
+  try {
+    const { id, productId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier or product ID'
+      });
+    }
+
+    const removed = await unlinkSupplierProduct(id, productId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier does not offer this product'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'supplier.catalogue_remove',
+      entityType: 'supplier',
+      entityId: id,
+      changes: [{ field: 'productsSupplied', from: productId, to: null }]
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Product removed from supplier catalogue'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get a supplier's agreement history, oldest term first
+export const getSupplierAgreements = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id)
+      .select('name company isActive deactivatedReason agreementStartDate agreementEndDate agreements')
+      .populate('agreements.createdBy', 'fullName email');
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    // Suppliers created before agreement history only have their current dates
+    const agreements = supplier.agreements.length > 0
+      ? supplier.agreements.map(agreement => agreement.toObject())
+      : [{ startDate: supplier.agreementStartDate, endDate: supplier.agreementEndDate }];
+
+    const today = new Date();
+    res.status(200).json({
+      success: true,
+      data: {
+        supplier: {
+          _id: supplier._id,
+          name: supplier.name,
+          company: supplier.company,
+          isActive: supplier.isActive,
+          deactivatedReason: supplier.deactivatedReason
+        },
+        agreements: agreements.map((agreement, index) => ({
+          ...agreement,
+          isCurrent: index === agreements.length - 1,
+          isExpired: new Date(agreement.endDate) < today,
+          hasContract: !!(agreement.contractFile && agreement.contractFile.filename)
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Renew a supplier agreement by appending a new term (optional contract file upload)
+export const renewSupplierAgreement = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      removeContractFile(req.file?.filename);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid supplier ID'
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      removeContractFile(req.file?.filename);
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    // The new term starts when the current one ends unless a start date is given
+    const startDate = req.body.startDate ? new Date(req.body.startDate) : new Date(supplier.agreementEndDate);
+    const endDate = new Date(req.body.endDate);
+
+    let message;
+    if (!req.body.endDate || isNaN(endDate.getTime()) || isNaN(startDate.getTime())) {
+      message = 'Please provide a valid agreement end date';
+    } else if (endDate <= startDate) {
+      message = 'Agreement end date must be after the start date';
+    } else if (startDate < supplier.agreementStartDate) {
+      message = 'A renewal cannot start before the current agreement term';
+    } else if (endDate <= new Date()) {
+      message = 'A renewal must end in the future';
+    }
+    if (message) {
+      removeContractFile(req.file?.filename);
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    const before = supplier.toObject();
+
+    // Keep the term recorded before agreement history existed
+    if (supplier.agreements.length === 0) {
+      supplier.agreements.push({ startDate: supplier.agreementStartDate, endDate: supplier.agreementEndDate });
+    }
+
+    supplier.agreements.push({
+      startDate,
+      endDate,
+      terms: req.body.terms,
+      contractFile: req.file ? toContractFile(req.file, req.user._id) : undefined,
+      createdBy: req.user._id
+    });
+    supplier.agreementStartDate = startDate;
+    supplier.agreementEndDate = endDate;
+    supplier.agreementExpiryWarningSentAt = null;
+
+    // Suppliers switched off because their agreement lapsed come back on renewal
+    if (!supplier.isActive && supplier.deactivatedReason === 'agreement_expired') {
+      supplier.isActive = true;
+      supplier.deactivatedAt = undefined;
+      supplier.deactivatedReason = undefined;
+    }
+
+    await supplier.save();
+
+    await recordAudit(req, {
+      action: 'supplier.agreement_renew',
+      entityType: 'supplier',
+      entityId: supplier._id,
+      changes: [
+        { field: 'agreementStartDate', from: before.agreementStartDate, to: supplier.agreementStartDate },
+        { field: 'agreementEndDate', from: before.agreementEndDate, to: supplier.agreementEndDate },
+        ...(before.isActive !== supplier.isActive ? [{ field: 'isActive', from: before.isActive, to: supplier.isActive }] : [])
+      ]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier agreement renewed',
+      data: supplier.agreements[supplier.agreements.length - 1]
+    });
+  } catch (error) {
+    removeContractFile(req.file?.filename);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Attach or replace the contract file of an agreement term
+export const uploadAgreementContract = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a contract file'
+      });
+    }
+
+    const supplier = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Supplier.findById(req.params.id)
+      : null;
+    const agreement = supplier && supplier.agreements.id(req.params.agreementId);
+    if (!agreement) {
+      removeContractFile(req.file.filename);
+      return res.status(404).json({
+        success: false,
+        message: 'Agreement not found'
+      });
+    }
+
+    const previousFile = agreement.contractFile?.filename;
+    agreement.contractFile = toContractFile(req.file, req.user._id);
+    await supplier.save();
+    removeContractFile(previousFile);
+
+    await recordAudit(req, {
+      action: 'supplier.agreement_contract_upload',
+      entityType: 'supplier',
+      entityId: supplier._id,
+      changes: [{ field: 'contractFile', from: previousFile || null, to: req.file.originalname }],
+      note: `Agreement ${agreement._id}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Contract uploaded',
+      data: agreement
+    });
+  } catch (error) {
+    removeContractFile(req.file?.filename);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Download the contract file of an agreement term
+export const downloadAgreementContract = async (req, res) => {
+  try {
+    const supplier = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Supplier.findById(req.params.id).select('agreements')
+      : null;
+    const agreement = supplier && supplier.agreements.id(req.params.agreementId);
+    if (!agreement || !agreement.contractFile?.filename) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    const filePath = path.join(getContractsDir(), agreement.contractFile.filename);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract file is missing'
+      });
+    }
+
+    res.download(filePath, agreement.contractFile.originalName || agreement.contractFile.filename);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
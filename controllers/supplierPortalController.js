@@ -0,0 +1,457 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import SupplierProduct from '../models/SupplierProduct.js';
+import User from '../models/user.js';
+import { recordAudit } from '../utils/audit.js';
+import { removeContractFile, toContractFile } from '../utils/contractUpload.js';
+import { sendNotification, getAdminRecipients } from '../utils/notificationService.js';
+import { supplierContractUploadedTemplate } from '../utils/notificationTemplates.js';
+import { getSupplierAgreements, downloadAgreementContract } from './supplierController.js';
+
+// Every handler here runs after requireSupplierAccount, so req.supplier is the
+// caller's own supplier and all queries are scoped to it.
+
+const CONTACT_FIELDS = ['name', 'phone'];
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+// Purchase orders become visible to the supplier once they have been sent
+const VISIBLE_STATUSES = ['sent', 'partially_received', 'received', 'cancelled'];
+const ACKNOWLEDGEABLE_STATUSES = ['sent', 'partially_received'];
+
+// Internal fields never shown in the portal
+const PURCHASE_ORDER_HIDDEN_FIELDS = '-createdBy -updatedBy -receipts.receivedBy';
+const NOTIFICATION_HIDDEN_FIELDS = '-createdBy -attempts -lastError';
+
+const toPortalSupplier = (supplier) => ({
+  _id: supplier._id,
+  name: supplier.name,
+  company: supplier.company,
+  email: supplier.email,
+  phone: supplier.phone,
+  address: supplier.address,
+  isActive: supplier.isActive,
+  deactivatedReason: supplier.deactivatedReason,
+  agreementStartDate: supplier.agreementStartDate,
+  agreementEndDate: supplier.agreementEndDate
+});
+
+// Notifications addressed to the supplier, including low-stock notices sent
+// before notifications recorded the supplier they were for
+const notificationScope = (supplierId) => ({
+  $or: [
+    { supplier: supplierId },
+    { type: 'supplier_low_stock', 'relatedTo.kind': 'Supplier', 'relatedTo.id': supplierId }
+  ]
+});
+
+const purchaseOrderScope = (supplierId) => ({
+  supplier: supplierId,
+  status: { $in: VISIBLE_STATUSES }
+});
+
+// Get the supplier's own details
+export const getPortalSupplier = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: toPortalSupplier(req.supplier)
+  });
+};
+
+// Update the supplier's contact details (name, phone and address)
+export const updatePortalContact = async (req, res) => {
+  try {
+    const supplier = req.supplier;
+    const before = supplier.toObject();
+
+    let changed = false;
+    CONTACT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        supplier.set(field, req.body[field]);
+        changed = true;
+      }
+    });
+    if (req.body.address && typeof req.body.address === 'object') {
+      ADDRESS_FIELDS.forEach(field => {
+        if (req.body.address[field] !== undefined) {
+          supplier.set(`address.${field}`, req.body.address[field]);
+          changed = true;
+        }
+      });
+    }
+
+    if (!changed) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide contact details to update: ${[...CONTACT_FIELDS, 'address'].join(', ')}`
+      });
+    }
+
+    await supplier.save();
+
+    await recordAudit(req, {
+      action: 'supplier.portal_contact_update',
+      entityType: 'supplier',
+      entityId: supplier._id,
+      before,
+      after: supplier
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Contact details updated',
+      data: toPortalSupplier(supplier)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get the products the supplier supplies with current stock against minStock (?lowStock=true)
+export const getPortalProducts = async (req, res) => {
+  try {
+    const links = await SupplierProduct.find({ supplier: req.supplier._id })
+      .populate('product', 'name sku stock minStock isActive');
+
+    // Deleted products are not populated
+    let products = links
+      .filter(link => link.product)
+      .map(link => ({
+        product: {
+          _id: link.product._id,
+          name: link.product.name,
+          sku: link.product.sku,
+          isActive: link.product.isActive
+        },
+        stock: link.product.stock,
+        minStock: link.product.minStock,
+        isLowStock: link.product.stock <= link.product.minStock,
+        supplierSku: link.supplierSku,
+        costPrice: link.costPrice,
+        leadTimeDays: link.leadTimeDays,
+        isPreferred: link.isPreferred
+      }));
+
+    if (req.query.lowStock === 'true') {
+      products = products.filter(item => item.isLowStock && item.product.isActive);
+    }
+
+    products.sort((a, b) => (b.isLowStock - a.isLowStock) || a.product.name.localeCompare(b.product.name));
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      data: products
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get notifications addressed to the supplier (?acknowledged=true|false, ?type=)
+export const getPortalNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, acknowledged, type } = req.query;
+
+    const query = notificationScope(req.supplier._id);
+    if (acknowledged === 'true') query.acknowledgedAt = { $ne: null };
+    if (acknowledged === 'false') query.acknowledgedAt = null;
+    if (typeof type === 'string' && type) query.type = type;
+
+    const notifications = await Notification.find(query)
+      .select(NOTIFICATION_HIDDEN_FIELDS)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Notification.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: notifications,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalNotifications: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Mark a notification addressed to the supplier as seen
+export const acknowledgeNotification = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const scope = { _id: req.params.id, ...notificationScope(req.supplier._id) };
+    const notification = await Notification.findOneAndUpdate(
+      { ...scope, acknowledgedAt: null },
+      { acknowledgedAt: new Date(), acknowledgedBy: req.user._id, supplier: req.supplier._id },
+      { new: true }
+    ).select(NOTIFICATION_HIDDEN_FIELDS);
+
+    if (!notification) {
+      const exists = await Notification.exists(scope);
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Notification has already been acknowledged' : 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification acknowledged',
+      data: notification
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get purchase orders sent to the supplier (?status=, ?acknowledged=true|false)
+export const getPortalPurchaseOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, acknowledged } = req.query;
+
+    // Only a single visible status is accepted, and it narrows the scope rather than replacing it
+    const query = purchaseOrderScope(req.supplier._id);
+    if (status !== undefined) {
+      if (typeof status !== 'string' || !VISIBLE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${VISIBLE_STATUSES.join(', ')}`
+        });
+      }
+      query.$and = [{ status }];
+    }
+    if (acknowledged === 'true') query.acknowledgedAt = { $ne: null };
+    if (acknowledged === 'false') query.acknowledgedAt = null;
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .select(PURCHASE_ORDER_HIDDEN_FIELDS)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ sentAt: -1 });
+
+    const total = await PurchaseOrder.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: purchaseOrders,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalPurchaseOrders: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get one purchase order sent to the supplier
+export const getPortalPurchaseOrder = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase order ID'
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findOne({ _id: req.params.id, ...purchaseOrderScope(req.supplier._id) })
+      .select(PURCHASE_ORDER_HIDDEN_FIELDS)
+      .populate('lines.product', 'name sku');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: purchaseOrder
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Confirm a sent purchase order, with an optional note for the buyer
+export const acknowledgePurchaseOrder = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase order ID'
+      });
+    }
+
+    const scope = { _id: req.params.id, ...purchaseOrderScope(req.supplier._id) };
+    const purchaseOrder = await PurchaseOrder.findOneAndUpdate(
+      { ...scope, $and: [{ status: { $in: ACKNOWLEDGEABLE_STATUSES } }], acknowledgedAt: null },
+      { acknowledgedAt: new Date(), acknowledgedBy: req.user._id, supplierNote: req.body.note },
+      { new: true, runValidators: true }
+    ).select(PURCHASE_ORDER_HIDDEN_FIELDS);
+
+    if (!purchaseOrder) {
+      const existing = await PurchaseOrder.findOne(scope).select('status acknowledgedAt');
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Purchase order not found'
+        });
+      }
+      return res.status(409).json({
+        success: false,
+        message: existing.acknowledgedAt
+          ? 'Purchase order has already been acknowledged'
+          : `A ${existing.status} purchase order cannot be acknowledged`
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'purchase_order.acknowledge',
+      entityType: 'purchase_order',
+      entityId: purchaseOrder._id,
+      changes: [{ field: 'acknowledgedAt', from: null, to: purchaseOrder.acknowledgedAt }],
+      note: req.body.note
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order acknowledged',
+      data: purchaseOrder
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Get the supplier's agreement history
+export const getPortalAgreements = (req, res) => {
+  req.params.id = req.supplier._id.toString();
+  return getSupplierAgreements(req, res);
+};
+
+// Download a contract file from one of the supplier's agreement terms
+export const downloadPortalContract = (req, res) => {
+  req.params.id = req.supplier._id.toString();
+  return downloadAgreementContract(req, res);
+};
+
+// Upload the signed or renewed agreement document for the current term.
+// Contracts uploaded by staff cannot be replaced from the portal.
+export const uploadPortalContract = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a contract file'
+      });
+    }
+
+    const supplier = req.supplier;
+    const agreement = mongoose.Types.ObjectId.isValid(req.params.agreementId)
+      ? supplier.agreements.id(req.params.agreementId)
+      : null;
+    if (!agreement) {
+      removeContractFile(req.file.filename);
+      return res.status(404).json({
+        success: false,
+        message: 'Agreement not found'
+      });
+    }
+
+    if (agreement !== supplier.agreements[supplier.agreements.length - 1]) {
+      removeContractFile(req.file.filename);
+      return res.status(400).json({
+        success: false,
+        message: 'Documents can only be uploaded for the current agreement term'
+      });
+    }
+
+    const previous = agreement.contractFile;
+    if (previous?.filename) {
+      const uploadedBySupplier = previous.uploadedBy &&
+        await User.exists({ _id: previous.uploadedBy, supplier: supplier._id }).setOptions({ withDeleted: true });
+      if (!uploadedBySupplier) {
+        removeContractFile(req.file.filename);
+        return res.status(409).json({
+          success: false,
+          message: 'This agreement already has a contract from NS Stores'
+        });
+      }
+    }
+
+    agreement.contractFile = toContractFile(req.file, req.user._id);
+    await supplier.save();
+    removeContractFile(previous?.filename);
+
+    await recordAudit(req, {
+      action: 'supplier.agreement_contract_upload',
+      entityType: 'supplier',
+      entityId: supplier._id,
+      changes: [{ field: 'contractFile', from: previous?.filename || null, to: req.file.originalname }],
+      note: `Agreement ${agreement._id} (supplier portal)`
+    });
+
+    // Let staff know a document is waiting for review; failures never fail the upload
+    getAdminRecipients('SUPPLIER_AGREEMENT_ALERT_EMAILS')
+      .then(recipients => sendNotification({
+        type: 'supplier_contract_uploaded',
+        to: recipients,
+        ...supplierContractUploadedTemplate({
+          supplier,
+          agreement,
+          uploadedBy: req.user,
+          filename: req.file.originalname
+        }),
+        relatedTo: { kind: 'Supplier', id: supplier._id },
+        createdBy: req.user._id
+      }))
+      .catch(error => console.error('Error sending contract upload notification:', error));
+
+    res.status(200).json({
+      success: true,
+      message: 'Contract uploaded',
+      data: agreement
+    });
+  } catch (error) {
+    removeContractFile(req.file?.filename);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,5 +1,41 @@
 import User from '../models/user.js';
-import { sendTokenResponse } from '../utils/jwt.js';
+import Session from '../models/Session.js';
+import {
+  sendTokenResponse,
+  sendSessionTokens,
+  rotateRefreshToken,
+  getRefreshTokenFromRequest,
+  clearAuthCookies
+} from '../utils/jwt.js';
+import { sendMail, getClientUrl } from '../utils/mailer.js';
+import { hasPermission, ROLES } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { resolveSupplierLink } from '../utils/supplierAccounts.js';
+
+// Minimum time between two verification emails for the same user
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Email a verification link for a user that has just been given a new token
+async function sendVerificationEmail(user, verificationToken) {
+  const verifyUrl = `${getClientUrl()}/verify-email/${verificationToken}`;
+  const expireHours = Number(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || 24);
+
+  return sendMail({
+    type: 'email_verification',
+    to: user.email,
+    subject: 'Verify your NS Stores email address',
+    text: [
+      `Hi ${user.fullName},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      '',
+      verifyUrl,
+      '',
+      `This link expires in ${expireHours} hours.`,
+      'If you did not create an NS Stores account, you can ignore this email.'
+    ].join('\n')
+  });
+}
 
 // @desc    Register user
 // @route   POST /api/users/register
@@ -8,16 +44,33 @@ export const register = async (req, res) => {
   try {
     const { fullName, email, phoneNumber, password, role } = req.body;
 
-    // optional: enforce only admin can create an admin (if you want)
-    const user = await User.create({
+    // Public registration only creates customers; staff accounts come from invitations
+    if (role !== undefined && role !== 'customer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only customer accounts can be registered, staff accounts need an invitation'
+      });
+    }
+
+    const user = new User({
       fullName,
       email,
       phoneNumber,
       password,
-      role
+      role: 'customer',
+      emailVerified: false
     });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
 
-    sendTokenResponse(user, 200, res);
+    // Registration still succeeds if the email cannot be sent; the user can ask for a resend
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    await sendTokenResponse(user, 200, res);
   } catch (err) {
     if (err.code === 11000) {
       return res.status(400).json({
@@ -83,7 +136,7 @@ export const login = async (req, res) => {
     await user.save();
 
     console.log('Login successful for user:', email);
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, res);
   } catch (err) {
     console.error('Login error:', err);
     res.status(400).json({
@@ -112,15 +165,18 @@ export const getMe = async (req, res) => {
   }
 };
 
-// @desc    Log user out / clear cookie
+// @desc    Log user out / end the current session and clear cookies
 // @route   GET /api/users/logout
 // @access  Private
 export const logout = async (req, res) => {
   try {
-    res.cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
-    });
+    if (req.authSession) {
+      req.authSession.revokedAt = new Date();
+      req.authSession.revokedReason = 'logout';
+      await req.authSession.save();
+    }
+
+    clearAuthCookies(res);
 
     res.status(200).json({
       success: true,
@@ -160,12 +216,36 @@ export const getUsers = async (req, res) => {
 export const updateUser = async (req, res) => {
   try {
     // EDITED: Removed isActive from allowed fields since we're using permanent deletion
-    const allowedFields = ['fullName', 'phoneNumber', 'role'];
+    const allowedFields = ['fullName', 'phoneNumber'];
     const updates = {};
     allowedFields.forEach(field => {
       if (req.body[field] !== undefined) updates[field] = req.body[field];
     });
 
+    // Role changes need the roles:manage permission (see PUT /api/users/:id/role)
+    if (req.body.role !== undefined) {
+      if (!hasPermission(req, 'roles:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not allowed to change user roles"
+        });
+      }
+      if (req.user._id.toString() === req.params.id) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own role"
+        });
+      }
+      updates.role = req.body.role;
+
+      // Supplier accounts must be linked to a supplier, other roles are unlinked
+      const link = await resolveSupplierLink(req.body.role, req.body.supplier);
+      if (link.error) {
+        return res.status(link.status).json({ success: false, message: link.error });
+      }
+      updates.supplier = link.supplier;
+    }
+
     // Prevent updating password here
     if (req.body.password) {
       return res.status(400).json({
@@ -174,6 +254,11 @@ export const updateUser = async (req, res) => {
       });
     }
 
+    const before = await User.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
     const user = await User.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true,
@@ -184,6 +269,14 @@ export const updateUser = async (req, res) => {
       return res.status(404).json({ success: false, message: "User not found" });
     }
 
+    await recordAudit(req, {
+      action: before.role !== user.role ? 'user.role_change' : 'user.update',
+      entityType: 'user',
+      entityId: user._id,
+      before,
+      after: user
+    });
+
     res.status(200).json({ success: true, data: user });
   } catch (err) {
     res.status(400).json({ success: false, message: err.message });
@@ -235,38 +328,52 @@ export const updateMe = async (req, res) => {
   }
 };
 
-// @desc    Permanently delete user (admin deletes any user)
+// @desc    Delete user (admin deletes any user); the account goes to the trash
 // @route   DELETE /api/users/:id
 // @access  Private (admin)
 export const deleteUser = async (req, res) => {
   try {
-    // EDITED: Changed from soft delete to permanent deletion
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({ success: false, message: "User not found" });
     }
 
-    res.status(200).json({ success: true, message: "User permanently deleted" });
+    const before = user.toObject();
+    await user.softDelete(req.user._id);
+    await Session.revokeAllForUser(user._id, 'user_deleted');
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      entityType: 'user',
+      entityId: user._id,
+      before,
+      after: user
+    });
+
+    res.status(200).json({ success: true, message: "User moved to trash" });
   } catch (err) {
     res.status(400).json({ success: false, message: err.message });
   }
 };
 
-// @desc    Permanently delete own account
+// @desc    Delete own account (kept in the trash until the retention period ends)
 // @route   DELETE /api/users/me
 // @access  Private (owner)
 export const deleteMe = async (req, res) => {
   try {
-    // EDITED: Changed from soft delete to permanent deletion
     const userId = req.user._id;
-    const user = await User.findByIdAndDelete(userId);
+    const user = await User.findById(userId);
 
     if (!user) {
       return res.status(404).json({ success: false, message: "User not found" });
     }
 
-    res.status(200).json({ success: true, message: "Your account has been permanently deleted" });
+    await user.softDelete(userId);
+    await Session.revokeAllForUser(user._id, 'user_deleted');
+    clearAuthCookies(res);
+
+    res.status(200).json({ success: true, message: "Your account has been deleted" });
   } catch (err) {
     res.status(400).json({ success: false, message: err.message });
   }
@@ -289,3 +396,436 @@ export const getProfile = async (req, res) => {
     });
   }
 };
+
+
+// @desc    Change password of the currently authenticated user
+// @route   PUT /api/users/me/password
+// @access  Private (owner)
+export const updatePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your current and new password'
+      });
+    }
+
+    if (String(newPassword).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const isMatch = await user.correctPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Saving a new password invalidates tokens issued before now; end every other session too
+    user.password = newPassword;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password_change');
+
+    await sendTokenResponse(user, 200, res);
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// @desc    Send a password reset link
+// @route   POST /api/users/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  // Same answer whether or not the email exists, so accounts cannot be discovered
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${getClientUrl()}/reset-password/${resetToken}`;
+    const expireMinutes = Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES || 30);
+
+    try {
+      await sendMail({
+        type: 'password_reset',
+        to: user.email,
+        subject: 'NS Stores password reset',
+        text: [
+          `Hi ${user.fullName},`,
+          '',
+          'We received a request to reset your NS Stores password. Use the link below to choose a new one:',
+          '',
+          resetUrl,
+          '',
+          `This link can be used once and expires in ${expireMinutes} minutes.`,
+          'If you did not request a password reset, you can ignore this email.'
+        ].join('\n')
+      });
+    } catch (mailError) {
+      console.error('Error sending password reset email:', mailError);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Password reset email could not be sent, please try again later'
+      });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/users/reset-password/:token
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || String(password).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(req.params.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    // Single use: clear the token; saving the password invalidates existing sessions
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password_change');
+
+    await sendTokenResponse(user, 200, res);
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+
+// @desc    Verify email address using the emailed token
+// @route   POST /api/users/verify-email/:token
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token)
+    }).select('+emailVerificationExpires');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has already been used'
+      });
+    }
+
+    if (!user.emailVerificationExpires || user.emailVerificationExpires < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link has expired, please request a new one'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address verified'
+    });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// @desc    Send a new verification email to the current user
+// @route   POST /api/users/verify-email/resend
+// @access  Private
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+emailVerificationSentAt');
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    if (user.emailVerificationSentAt &&
+        Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait a minute before requesting another verification email'
+      });
+    }
+
+    // A new token replaces (and invalidates) the previous one
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, verificationToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/users/refresh
+// @access  Public (requires a refresh token)
+export const refreshToken = async (req, res) => {
+  try {
+    const token = getRefreshTokenFromRequest(req);
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokenHash = Session.hashToken(token);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      // A rotated token being presented again means it was stolen: end that session
+      const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+      if (reused && !reused.revokedAt) {
+        reused.revokedAt = new Date();
+        reused.revokedReason = 'reuse_detected';
+        await reused.save();
+        console.warn('Refresh token reuse detected for user:', reused.user.toString());
+      }
+
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token, please log in again'
+      });
+    }
+
+    if (!session.isActive()) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked, please log in again'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'user_deleted';
+      await session.save();
+
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'User account is no longer available'
+      });
+    }
+
+    const newRefreshToken = await rotateRefreshToken(session);
+    if (!newRefreshToken) {
+      return res.status(409).json({
+        success: false,
+        message: 'Refresh token was already used, please retry with the latest token'
+      });
+    }
+
+    sendSessionTokens(user, session, newRefreshToken, 200, res);
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// @desc    Log out of every session of the current user
+// @route   POST /api/users/logout-all
+// @access  Private
+export const logoutAll = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// @desc    Revoke every session of a user
+// @route   POST /api/users/:id/revoke-sessions
+// @access  Private (admin)
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    const result = await Session.revokeAllForUser(user._id, 'admin');
+
+    res.status(200).json({
+      success: true,
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// @desc    Assign a role to a user
+// @route   PUT /api/users/:id/role
+// @access  Private (roles:manage)
+export const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (req.user._id.toString() === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own role"
+      });
+    }
+
+    const before = await User.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    // Supplier accounts must be linked to a supplier, other roles are unlinked
+    const link = await resolveSupplierLink(role, req.body.supplier);
+    if (link.error) {
+      return res.status(link.status).json({ success: false, message: link.error });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { role, supplier: link.supplier }, {
+      new: true,
+      runValidators: true,
+      context: 'query'
+    }).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      entityType: 'user',
+      entityId: user._id,
+      before,
+      after: user
+    });
+
+    res.status(200).json({ success: true, data: user });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// @desc    List deleted users
+// @route   GET /api/users/trash
+// @access  Private (users:read)
+export const getDeletedUsers = async (req, res) => {
+  try {
+    const users = await User.findDeleted()
+      .populate('deletedBy', 'fullName email')
+      .sort({ deletedAt: -1 });
+
+    res.status(200).json({ success: true, count: users.length, data: users });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// @desc    Restore a deleted user
+// @route   POST /api/users/:id/restore
+// @access  Private (users:delete)
+export const restoreUser = async (req, res) => {
+  try {
+    const user = await User.findDeletedById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: "Deleted user not found" });
+    }
+
+    const before = user.toObject();
+    await user.restore();
+
+    await recordAudit(req, {
+      action: 'user.restore',
+      entityType: 'user',
+      entityId: user._id,
+      before,
+      after: user
+    });
+
+    res.status(200).json({ success: true, message: "User restored", data: user });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
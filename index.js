@@ -12,9 +12,25 @@ import quotationRouter from './routers/quotationRoutes.js';
 import reservationRouter from './routers/reservationRoutes.js';
 import supplierRouter from './routers/supplierRoutes.js';
 import reportRouter from './routers/reportRoutes.js';
+import orderRouter from './routers/orderRoutes.js';
+import purchaseOrderRouter from './routers/purchaseOrderRoutes.js';
+import notificationRouter from './routers/notificationRoutes.js';
+import roleRouter from './routers/roleRoutes.js';
+import invitationRouter from './routers/invitationRoutes.js';
+import auditRouter from './routers/auditRoutes.js';
+import jobRouter from './routers/jobRoutes.js';
+import supplierPortalRouter from './routers/supplierPortalRoutes.js';
+import { auditMutations } from './utils/audit.js';
+import { ensureSupplierLinks } from './utils/supplierLinks.js';
+import User from './models/user.js';
+import { startScheduler } from './utils/scheduler.js';
+import { registerDefaultJobs } from './utils/jobs.js';
 
 dotenv.config();
 
+// Background jobs; they start ticking once the database is connected
+registerDefaultJobs();
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -55,7 +71,16 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // DB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log("Connected to the database"))
+  .then(() => {
+    console.log("Connected to the database");
+    startScheduler();
+    ensureSupplierLinks()
+      .then(created => created && console.log(`Created ${created} supplier-product links`))
+      .catch(err => console.error("Supplier-product link backfill failed:", err));
+    User.backfillEmailVerified()
+      .then(updated => updated && console.log(`Marked ${updated} existing users as email verified`))
+      .catch(err => console.error("Email verification backfill failed:", err));
+  })
   .catch(err => console.error("Database connection failed:", err));
 
 // Routes
@@ -63,12 +88,23 @@ app.get('/', (req, res) => {
   res.json({ message: 'NS Stores API is working!' });
 });
 
+// Record mutating requests made by staff
+app.use('/api', auditMutations);
+
 app.use("/api/products", productRouter);
 app.use("/api/users", userRouter);
 app.use("/api/quotations", quotationRouter);
 app.use("/api/suppliers", supplierRouter);
 app.use("/api/reservations", reservationRouter);
 app.use("/api/reports", reportRouter);
+app.use("/api/orders", orderRouter);
+app.use("/api/purchase-orders", purchaseOrderRouter);
+app.use("/api/notifications", notificationRouter);
+app.use("/api/roles", roleRouter);
+app.use("/api/invitations", invitationRouter);
+app.use("/api/audit", auditRouter);
+app.use("/api/jobs", jobRouter);
+app.use("/api/supplier-portal", supplierPortalRouter);
 
 // Server
 const PORT = process.env.PORT || 5000;
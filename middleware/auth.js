@@ -1,5 +1,8 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/user.js';
+import Session from '../models/Session.js';
+import Supplier from '../models/Supplier.js';
+import { getPermissionsForRole, hasPermission } from '../utils/permissions.js';
 
 // Protect routes
 export const protect = async (req, res, next) => {
@@ -19,7 +22,7 @@ export const protect = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-      const user = await User.findById(decoded.id).select('-password');
+      const user = await User.findById(decoded.id).select('-password +passwordChangedAt');
 
       if (!user) {
         return res.status(401).json({
@@ -28,6 +31,22 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed recently, please log in again'
+        });
+      }
+
+      // Access tokens belong to a server-side session that can be revoked
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (!session || !session.isActive() || session.user.toString() !== user._id.toString()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked, please log in again'
+        });
+      }
+
       if (!user.isActive) {
         return res.status(403).json({
           success: false,
@@ -42,6 +61,8 @@ export const protect = async (req, res, next) => {
       });
 
       req.user = user;
+      req.authSession = session;
+      req.permissions = await getPermissionsForRole(user.role);
       next();
     } catch (error) {
       return res.status(401).json({
@@ -57,6 +78,27 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Attach req.user when a valid token is sent, but let anonymous requests through
+export const optionalProtect = async (req, res, next) => {
+  try {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      const token = req.headers.authorization.split(' ')[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+      const user = await User.findById(decoded.id).select('-password +passwordChangedAt');
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+      if (user && user.isActive && !user.changedPasswordAfter(decoded.iat) && session && session.isActive()) {
+        req.user = user;
+        req.authSession = session;
+        req.permissions = await getPermissionsForRole(user.role);
+      }
+    }
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous requests
+  }
+  next();
+};
+
 // Grant access to specific roles (role-based)
 export const authorize = (...roles) => {
   return (req, res, next) => {
@@ -73,15 +115,46 @@ export const authorize = (...roles) => {
   };
 };
 
-// Allow admin OR owner of resource (owner = req.params.id or req.user._id)
+// Grant access when the user's role has every listed permission (permission-based)
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Not authenticated' });
+    }
+    const missing = permissions.filter(permission => !hasPermission(req, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `User role ${req.user.role} is missing permission ${missing.join(', ')}`
+      });
+    }
+    next();
+  };
+};
+
+// Require the logged-in user to have verified their email address
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Not authenticated' });
+  }
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to perform this action'
+    });
+  }
+  next();
+};
+
+// Allow user managers (admin) OR owner of resource (owner = req.params.id or req.user._id)
 export const adminOrSelf = () => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ success: false, message: 'Not authenticated' });
     }
 
-    // If user is admin => allowed
-    if (req.user.role === 'admin') return next();
+    // If user can manage users (e.g. admin) => allowed
+    if (hasPermission(req, 'users:write')) return next();
 
     // If user is owner of resource => allowed
     const paramId = req.params.id;
@@ -94,3 +167,36 @@ export const adminOrSelf = () => {
     });
   };
 };
+
+// Supplier portal: only 'supplier' accounts linked to an existing supplier get through.
+// Loads the supplier into req.supplier so handlers can scope every query to it.
+export const requireSupplierAccount = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Not authenticated' });
+    }
+    if (req.user.role !== 'supplier' || !req.user.supplier) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only supplier accounts can use the supplier portal'
+      });
+    }
+
+    // Deactivated suppliers keep portal access so they can send renewed agreements
+    const supplier = await Supplier.findById(req.user.supplier);
+    if (!supplier) {
+      return res.status(403).json({
+        success: false,
+        message: 'The supplier linked to this account no longer exists'
+      });
+    }
+
+    req.supplier = supplier;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Server error in authentication'
+    });
+  }
+};
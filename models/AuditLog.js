@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Append-only record of administrative changes.
+// action is "<entity>.<verb>", e.g. "product.delete" or "quotation.status_change".
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorEmail: String,
+  actorRole: String,
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    required: true
+  },
+  // String so non-ObjectId keys (e.g. role names) can be audited too
+  entityId: String,
+  // Field level before/after diff
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  request: {
+    method: String,
+    path: String,
+    statusCode: Number,
+    ip: String,
+    userAgent: String
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Audit entries can never be changed or removed once written
+const rejectMutation = function(next) {
+  next(new Error('Audit logs are append-only and cannot be modified'));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+export default mongoose.model('AuditLog', auditLogSchema);
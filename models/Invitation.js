@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { ROLES } from './Role.js';
+
+export const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+// Admin-issued invitation to create a staff or supplier portal account with a given role.
+// Only the SHA-256 hash of the emailed token is stored.
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: [true, 'Please add a role']
+  },
+  // Supplier the new account is linked to when role is 'supplier'
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [function() { return this.role === 'supplier'; }, 'Supplier invitations must name a supplier']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: INVITATION_STATUSES,
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+invitationSchema.statics.generateToken = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// Mark pending invitations past their expiry as expired
+invitationSchema.statics.expireStale = function() {
+  return this.updateMany(
+    { status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+};
+
+// Method to check if the invitation can still be accepted
+invitationSchema.methods.isUsable = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Per-job lock shared by every app instance, so a job only runs in one place at a time
+const jobLockSchema = new mongoose.Schema({
+  // Job name
+  _id: String,
+  lockedBy: String,
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Last scheduled minute claimed, so other instances skip the same tick
+  lastScheduledFor: Date,
+  lastRunAt: Date
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('JobLock', jobLockSchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// One execution of a background job, or of a catalogue import (job 'product-import')
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  // Scheduled minute this run belongs to (schedule trigger only)
+  scheduledFor: Date,
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  // Whatever the job handler returned, e.g. counts of processed records
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  // Process that ran the job (host:pid)
+  instance: String,
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+// Keep run history for 90 days
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const notificationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Transport used: email, webhook, outbox (or a custom registered one)
+  channel: {
+    type: String,
+    required: true
+  },
+  recipients: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  // Only the names of attachments are kept; their content is not stored
+  attachments: [{
+    filename: String,
+    contentType: String
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  sentAt: Date,
+  // Document the notification is about (product, supplier, quotation...)
+  relatedTo: {
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Supplier the notification is addressed to; shown in that supplier's portal
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  acknowledgedAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ type: 1, createdAt: -1 });
+notificationSchema.index({ status: 1, createdAt: -1 });
+notificationSchema.index({ 'relatedTo.kind': 1, 'relatedTo.id': 1 });
+notificationSchema.index({ supplier: 1, createdAt: -1 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: String,
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  category: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  discountPercent: {
+    type: Number,
+    default: 0
+  },
+  subtotal: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation',
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  phone: String,
+  company: String,
+  address: String,
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'Order must contain at least one item']
+  },
+  subtotal: Number,
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Total amount cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['confirmed', 'fulfilled', 'cancelled'],
+    default: 'confirmed'
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ customer: 1 });
+orderSchema.index({ email: 1 });
+
+// Generate a human readable order number
+orderSchema.statics.generateOrderNumber = function() {
+  const randomNum = Math.floor(1000 + Math.random() * 9000);
+  return `ORD-${Date.now()}-${randomNum}`;
+};
+
+export default mongoose.model('Order', orderSchema);
@@ -1,5 +1,6 @@
 // models/Product.js
 import mongoose from 'mongoose';
+import softDeletePlugin from './plugins/softDelete.js';
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -32,6 +33,11 @@ const productSchema = new mongoose.Schema({
     default: 10,
     min: [0, 'Minimum stock cannot be negative'],
   },
+  // Optional stock level to replenish up to when reordering
+  maxStock: {
+    type: Number,
+    min: [0, 'Maximum stock cannot be negative'],
+  },
   supplier: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Supplier'
@@ -49,6 +55,11 @@ const productSchema = new mongoose.Schema({
     unique: true,
     sparse: true,
   },
+  // Set when a low stock alert was sent; cleared once the product is restocked
+  lowStockAlertSentAt: {
+    type: Date,
+    default: null,
+  },
 }, {
   timestamps: true,
 });
@@ -59,6 +70,8 @@ productSchema.index({ category: 1 });
 productSchema.index({ supplier: 1 });
 productSchema.index({ isActive: 1 });
 
+productSchema.plugin(softDeletePlugin);
+
 // Virtual for checking if stock is low
 productSchema.virtual('isLowStock').get(function() {
   return this.stock <= this.minStock;
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Please add a product']
+  },
+  name: String,
+  quantityOrdered: {
+    type: Number,
+    required: [true, 'Please add a quantity'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: [0, 'Received quantity cannot be negative']
+  },
+  unitCost: {
+    type: Number,
+    required: [true, 'Please add a unit cost'],
+    min: [0, 'Unit cost cannot be negative']
+  }
+});
+
+// Goods-received note: one delivery against the purchase order
+const goodsReceiptSchema = new mongoose.Schema({
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reference: String,
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  lines: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    }
+  }]
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Please add a supplier']
+  },
+  lines: {
+    type: [purchaseOrderLineSchema],
+    validate: [lines => lines.length > 0, 'Please add at least one product']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially_received', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  expectedDeliveryDate: Date,
+  sentAt: Date,
+  receivedAt: Date,
+  cancelledAt: Date,
+  // Set when the supplier confirms the order from the supplier portal
+  acknowledgedAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  supplierNote: {
+    type: String,
+    maxlength: [1000, 'Supplier note cannot be more than 1000 characters']
+  },
+  notes: {
+    type: String,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  receipts: [goodsReceiptSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+purchaseOrderSchema.index({ supplier: 1, status: 1 });
+purchaseOrderSchema.index({ status: 1, expectedDeliveryDate: 1 });
+
+// Allowed status changes made by hand; receiving goods moves to partially_received/received
+purchaseOrderSchema.statics.STATUS_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['cancelled'],
+  partially_received: ['cancelled'],
+  received: [],
+  cancelled: []
+};
+
+// Statuses that still expect goods to arrive
+purchaseOrderSchema.statics.OPEN_STATUSES = ['draft', 'sent', 'partially_received'];
+
+purchaseOrderSchema.statics.generatePoNumber = function() {
+  const randomNum = Math.floor(1000 + Math.random() * 9000);
+  return `PO-${Date.now()}-${randomNum}`;
+};
+
+purchaseOrderSchema.virtual('totalCost').get(function() {
+  return (this.lines || []).reduce((sum, line) => sum + line.quantityOrdered * line.unitCost, 0);
+});
+
+// Method to check whether a status change is allowed
+purchaseOrderSchema.methods.canTransitionTo = function(status) {
+  const allowed = this.constructor.STATUS_TRANSITIONS[this.status] || [];
+  return allowed.includes(status);
+};
+
+export default mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -1,5 +1,48 @@
 import mongoose from 'mongoose';
 
+const quotationItemSchema = {
+  product: String,
+  productId: String,
+  category: String,
+  quantity: Number,
+  price: Number,
+  // Line discount as a percentage of quantity * price
+  discountPercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot be more than 100%']
+  },
+  subtotal: Number
+};
+
+// Snapshot of the quotation pricing after an admin revision
+const quotationRevisionSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  items: [quotationItemSchema],
+  discountPercent: Number,
+  taxRate: Number,
+  validUntil: Date,
+  subtotal: Number,
+  discountAmount: Number,
+  taxAmount: Number,
+  totalAmount: Number,
+  // What changed compared to the previous revision: [{ field, productId, product, from, to }]
+  changes: [mongoose.Schema.Types.Mixed],
+  note: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const quotationSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -29,18 +72,63 @@ const quotationSchema = new mongoose.Schema({
     type: String,
     required: false
   },
-  items: [{
-    product: String,
-    productId: String,
-    category: String,
-    quantity: Number,
-    price: Number,
-    subtotal: Number
-  }],
+  items: [quotationItemSchema],
   totalAmount: {
     type: Number,
     default: 0
   },
+  // Overall discount as a percentage of the item subtotal
+  discountPercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot be more than 100%']
+  },
+  // Tax percentage applied on top of the item subtotal
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative']
+  },
+  validUntil: {
+    type: Date,
+    required: false
+  },
+  // When item prices were taken from the product catalogue
+  pricedAt: {
+    type: Date,
+    required: false
+  },
+  lastEmailedAt: {
+    type: Date,
+    required: false
+  },
+  // Set when admins were told the quotation has been pending too long
+  staleAlertSentAt: {
+    type: Date,
+    default: null
+  },
+  currentRevision: {
+    type: Number,
+    default: 0
+  },
+  revisions: [quotationRevisionSchema],
+  // Customer decision on the latest revision
+  customerResponse: {
+    decision: {
+      type: String,
+      enum: ['accepted', 'declined']
+    },
+    revision: Number,
+    reason: String,
+    respondedAt: Date,
+    // Staff member who recorded the decision for the customer (e.g. by phone)
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: false
+    }
+  },
   notes: {
     type: String,
     required: false
@@ -58,6 +146,11 @@ const quotationSchema = new mongoose.Schema({
     enum: ['pending', 'processing', 'completed', 'rejected'],
     default: 'pending'
   },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: false
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -83,4 +176,20 @@ quotationSchema.pre('save', function(next) {
   next();
 });
 
+// A customer owns the quotations they created, and those sent from their email
+// address once it is verified (otherwise anyone could claim someone else's quotations).
+// Filter for the quotations a user owns
+quotationSchema.statics.ownedByFilter = function(user) {
+  return user.emailVerified
+    ? { $or: [{ createdBy: user._id }, { email: user.email }] }
+    : { createdBy: user._id };
+};
+
+// Method to check if a user owns this quotation (same rule as ownedByFilter)
+quotationSchema.methods.isOwnedBy = function(user) {
+  const ownerId = this.createdBy && (this.createdBy._id || this.createdBy);
+  if (ownerId && ownerId.toString() === user._id.toString()) return true;
+  return !!user.emailVerified && !!this.email && this.email === user.email;
+};
+
 export default mongoose.model('Quotation', quotationSchema);
\ No newline at end of file
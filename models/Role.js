@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+export const PERMISSIONS = [
+  'products:write',
+  'products:delete',
+  'stock:read',
+  'stock:adjust',
+  'orders:read',
+  'orders:write',
+  'quotations:read',
+  'quotations:write',
+  'quotations:price',
+  'quotations:delete',
+  'reservations:read',
+  'reservations:write',
+  'reservations:delete',
+  'suppliers:read',
+  'suppliers:write',
+  'suppliers:delete',
+  'purchase_orders:read',
+  'purchase_orders:write',
+  'purchase_orders:receive',
+  'notifications:read',
+  'notifications:write',
+  'reports:read',
+  'users:read',
+  'users:write',
+  'users:delete',
+  'roles:manage',
+  'audit:read',
+  'jobs:manage'
+];
+
+// 'supplier' accounts belong to a supplier's staff and only use the supplier portal
+export const ROLES = ['customer', 'admin', 'inventory_manager', 'sales', 'supplier_manager', 'viewer', 'supplier'];
+
+// Stored permission assignments for a role; roles without a document use the defaults
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ROLES,
+    required: true,
+    unique: true
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Role', roleSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Server-side login session backing a rotating refresh token.
+// Access tokens carry the session id, so revoking a session cuts them off too.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 hash of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of refresh tokens that were already rotated; presenting one again means reuse
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'admin', 'password_change', 'reuse_detected', 'user_deleted']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+sessionSchema.statics.generateRefreshToken = function() {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g. the current session)
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Session', sessionSchema);
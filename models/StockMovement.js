@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// Append-only ledger of every change to a product's stock.
+// Hold entries (kind 'hold') record stock set aside for reservations and leave
+// on-hand stock unchanged (stockBefore === stockAfter).
+export const HOLD_MOVEMENT_REASONS = ['reservation_hold', 'reservation_hold_released', 'reservation_hold_expired'];
+
+export const STOCK_MOVEMENT_REASONS = [
+  'initial_stock',
+  'manual_adjustment',
+  'product_update',
+  'order',
+  'order_cancelled',
+  'reservation_hold',
+  'reservation_hold_released',
+  'reservation_hold_expired',
+  'reservation_fulfilled',
+  'supplier_receipt',
+  'rollback'
+];
+
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: STOCK_MOVEMENT_REASONS,
+    required: true
+  },
+  // 'stock' entries change on-hand stock, 'hold' entries change the quantity held
+  kind: {
+    type: String,
+    enum: ['stock', 'hold'],
+    default: 'stock'
+  },
+  // Signed quantity. Stock entries: positive for stock coming in, negative for
+  // stock going out. Hold entries: positive for stock set aside, negative for a
+  // hold released or expired.
+  quantity: {
+    type: Number,
+    required: true
+  },
+  stockBefore: {
+    type: Number,
+    required: true
+  },
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
+  // Document that caused the movement (order, reservation, purchase order...)
+  reference: {
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ reason: 1, createdAt: -1 });
+
+// Movements can never be changed or removed once written
+const rejectMutation = function(next) {
+  next(new Error('Stock movements are append-only and cannot be modified'));
+};
+
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+export default mongoose.model('StockMovement', stockMovementSchema);
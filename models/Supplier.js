@@ -1,4 +1,45 @@
 import mongoose from 'mongoose';
+import softDeletePlugin from './plugins/softDelete.js';
+
+// One agreement term with the supplier; renewals append a new term
+const agreementSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: [true, 'Please add an agreement start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add an agreement end date'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value > this.startDate;
+      },
+      message: 'Agreement end date must be after the start date'
+    }
+  },
+  terms: {
+    type: String,
+    maxlength: [5000, 'Terms cannot be more than 5000 characters']
+  },
+  // Stored under storage/contracts and downloaded through the API
+  contractFile: {
+    filename: String,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    uploadedAt: Date,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
 
 const supplierSchema = new mongoose.Schema({
   name: {
@@ -39,17 +80,48 @@ const supplierSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   }],
+  // Agreement history, oldest first; agreementStartDate/agreementEndDate mirror the latest term
+  agreements: [agreementSchema],
+  // Set once the current term's expiry warning went out; cleared on renewal
+  agreementExpiryWarningSentAt: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  deactivatedAt: Date,
+  deactivatedReason: {
+    type: String,
+    enum: ['agreement_expired', 'manual']
   }
 }, {
   timestamps: true
 });
 
+supplierSchema.pre('validate', function(next) {
+  if (this.agreementStartDate && this.agreementEndDate && this.agreementEndDate <= this.agreementStartDate) {
+    this.invalidate('agreementEndDate', 'Agreement end date must be after the start date');
+  }
+
+  // The first term comes from the supplier's own dates; later edits of the
+  // dates correct the current term rather than creating a new one
+  const current = this.agreements[this.agreements.length - 1];
+  if (!current && this.agreementStartDate && this.agreementEndDate) {
+    this.agreements.push({ startDate: this.agreementStartDate, endDate: this.agreementEndDate });
+  } else if (current && (this.isModified('agreementStartDate') || this.isModified('agreementEndDate'))) {
+    current.startDate = this.agreementStartDate;
+    current.endDate = this.agreementEndDate;
+  }
+  next();
+});
+
 // Index for efficient querying of expired agreements
 supplierSchema.index({ agreementEndDate: 1, isActive: 1 });
 
+supplierSchema.plugin(softDeletePlugin);
+
 // Static method to find suppliers with expired agreements
 supplierSchema.statics.findExpiredAgreements = function() {
   const today = new Date();
@@ -59,6 +131,16 @@ supplierSchema.statics.findExpiredAgreements = function() {
   });
 };
 
+// Static method to find active suppliers whose agreement ends within `days` days
+supplierSchema.statics.findExpiringAgreements = function(days) {
+  const now = new Date();
+  const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  return this.find({
+    agreementEndDate: { $gte: now, $lte: until },
+    isActive: true
+  });
+};
+
 // Method to check if agreement is expired
 supplierSchema.methods.isAgreementExpired = function() {
   return new Date() > this.agreementEndDate;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// A supplier offering a product: the single source of truth for sourcing.
+// Product.supplier (the preferred supplier) and Supplier.productsSupplied are
+// kept in step with these links by utils/supplierLinks.js.
+const supplierProductSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // The supplier's own code for the product
+  supplierSku: {
+    type: String,
+    trim: true
+  },
+  costPrice: {
+    type: Number,
+    min: [0, 'Cost price cannot be negative']
+  },
+  leadTimeDays: {
+    type: Number,
+    min: [0, 'Lead time cannot be negative']
+  },
+  // At most one preferred supplier per product
+  isPreferred: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+supplierProductSchema.index({ supplier: 1, product: 1 }, { unique: true });
+supplierProductSchema.index({ product: 1, isPreferred: -1 });
+
+export default mongoose.model('SupplierProduct', supplierProductSchema);
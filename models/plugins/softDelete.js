@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const QUERY_HOOKS = [
+  'find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate',
+  'updateOne', 'updateMany'
+];
+
+// Soft delete: documents get deletedAt/deletedBy instead of being removed.
+// Normal queries and aggregations skip deleted documents; pass
+// { withDeleted: true } as a query/aggregate option, or filter on deletedAt
+// explicitly, to include them.
+export default function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function(next) {
+    if (this.getOptions().withDeleted) return next();
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return next();
+
+    this.where({ deletedAt: null });
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    if (this.options.withDeleted) return next();
+
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+    next();
+  });
+
+  // Move the document to the trash
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId || null;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Bring the document back from the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.isDeleted = function() {
+    return !!this.deletedAt;
+  };
+
+  // Deleted documents only
+  schema.statics.findDeleted = function(filter = {}) {
+    return this.find({ ...filter, deletedAt: { $ne: null } });
+  };
+
+  schema.statics.findDeletedById = function(id) {
+    return this.findOne({ _id: id, deletedAt: { $ne: null } });
+  };
+}
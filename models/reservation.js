@@ -28,6 +28,39 @@ const reservationSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Note cannot be more than 500 characters']
   },
+  items: {
+    type: [{
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Please add a product']
+      },
+      name: String,
+      quantity: {
+        type: Number,
+        required: [true, 'Please add a quantity'],
+        min: [1, 'Quantity must be at least 1']
+      }
+    }],
+    validate: [items => items.length > 0, 'Please add at least one product']
+  },
+  pickupDate: {
+    type: Date,
+    required: [true, 'Please add a pickup/delivery date']
+  },
+  fulfillment: {
+    type: String,
+    enum: ['pickup', 'delivery'],
+    default: 'pickup'
+  },
+  // Stock is held for this reservation until the hold expires or is released
+  holdExpiresAt: {
+    type: Date
+  },
+  holdReleasedAt: {
+    type: Date,
+    default: null
+  },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'rejected', 'cancelled', 'completed'],
@@ -42,5 +75,46 @@ const reservationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+reservationSchema.index({ status: 1, holdExpiresAt: 1 });
+reservationSchema.index({ 'items.product': 1 });
+
+// Statuses in which a reservation keeps its stock hold
+reservationSchema.statics.HOLDING_STATUSES = ['pending', 'confirmed'];
+
+// Query matching reservations that currently hold stock
+reservationSchema.statics.activeHoldFilter = function() {
+  return {
+    status: { $in: this.HOLDING_STATUSES },
+    holdReleasedAt: null,
+    holdExpiresAt: { $gt: new Date() }
+  };
+};
+
+// Filter for holds that ran past holdExpiresAt without being released. The
+// reservation-hold-expiry job marks these released and records the lapse.
+reservationSchema.statics.lapsedHoldFilter = function() {
+  return {
+    status: { $in: this.HOLDING_STATUSES },
+    holdReleasedAt: null,
+    holdExpiresAt: { $lte: new Date() }
+  };
+};
+
+// Method to check if this reservation still holds stock
+reservationSchema.methods.isHoldActive = function() {
+  return Reservation.HOLDING_STATUSES.includes(this.status) &&
+    !this.holdReleasedAt &&
+    !!this.holdExpiresAt &&
+    this.holdExpiresAt > new Date();
+};
+
+// Method to check if this reservation's hold lapsed and the lapse is not recorded yet
+reservationSchema.methods.isHoldLapsed = function() {
+  return Reservation.HOLDING_STATUSES.includes(this.status) &&
+    !this.holdReleasedAt &&
+    !!this.holdExpiresAt &&
+    this.holdExpiresAt <= new Date();
+};
+
 const Reservation = mongoose.model('Reservation', reservationSchema);
 export default Reservation;
\ No newline at end of file
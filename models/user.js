@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { ROLES } from './Role.js';
+import softDeletePlugin from './plugins/softDelete.js';
 
 const userSchema = new mongoose.Schema({
   fullName: {
@@ -25,9 +28,15 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['customer', 'admin'],
+    enum: ROLES,
     default: 'customer'
   },
+  // Supplier a 'supplier' account acts for in the supplier portal
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [function() { return this.role === 'supplier'; }, 'Supplier accounts must be linked to a supplier']
+  },
   phoneNumber: {
     type: String,
     required: false
@@ -44,20 +53,58 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // SHA-256 hash of the email verification token
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  // Tokens issued before this time are no longer accepted
+  passwordChangedAt: {
+    type: Date,
+    select: false
+  },
+  // SHA-256 hash of the single-use password reset token
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+userSchema.plugin(softDeletePlugin);
+
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Invalidate tokens issued before the change (1s back so the new token stays valid)
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
 });
 
 // Compare password method
@@ -65,4 +112,50 @@ userSchema.methods.correctPassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create a password reset token; only its hash is stored on the user
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expireMinutes = Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES || 30);
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Create an email verification token; only its hash is stored on the user
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const expireHours = Number(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || 24);
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Check whether the password was changed after a token was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return tokenIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Accounts created before email verification existed were never asked to verify:
+// mark them verified once, so the read-time default does not lock them out.
+// Resolves to the number of users updated.
+userSchema.statics.backfillEmailVerified = async function() {
+  const result = await this.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } },
+    { withDeleted: true }
+  );
+  return result.modifiedCount;
+};
+
+// Hash a reset token the same way it is stored
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 export default mongoose.model('User', userSchema);
@@ -0,0 +1,13 @@
+import express from 'express';
+import { getAuditLogs, getAuditLog } from '../controllers/auditController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// The audit trail is only visible to users who can read it
+router.use(protect, requirePermission('audit:read'));
+
+router.get('/', getAuditLogs);
+router.get('/:id', getAuditLog);
+
+export default router;
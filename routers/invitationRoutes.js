@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  expireInvitation,
+  getInvitationByToken,
+  acceptInvitation
+} from '../controllers/invitationController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes for the invitee
+router.get('/accept/:token', getInvitationByToken);
+router.post('/accept/:token', acceptInvitation);
+
+// Inviting assigns a role, so it needs the roles:manage permission
+router.route('/')
+  .post(protect, requirePermission('roles:manage'), createInvitation)
+  .get(protect, requirePermission('roles:manage'), getInvitations);
+
+router.post('/:id/revoke', protect, requirePermission('roles:manage'), revokeInvitation);
+router.post('/:id/expire', protect, requirePermission('roles:manage'), expireInvitation);
+
+export default router;
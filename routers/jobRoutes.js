@@ -0,0 +1,16 @@
+import express from 'express';
+import { getJobs, getJobRuns, getJobRun, triggerJob } from '../controllers/jobController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Background jobs are managed by admins only
+router.use(protect, requirePermission('jobs:manage'));
+
+router.get('/', getJobs);
+router.get('/runs', getJobRuns);
+router.get('/runs/:runId', getJobRun);
+router.get('/:name/runs', getJobRuns);
+router.post('/:name/run', triggerJob); // Manual trigger
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getNotifications,
+  getNotification,
+  retryNotification,
+  retryFailedNotifications
+} from '../controllers/notificationController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Notifications are only visible to staff with notification permissions
+router.use(protect);
+
+router.get('/', requirePermission('notifications:read'), getNotifications);
+router.post('/retry-failed', requirePermission('notifications:write'), retryFailedNotifications);
+router.get('/:id', requirePermission('notifications:read'), getNotification);
+router.post('/:id/retry', requirePermission('notifications:write'), retryNotification);
+
+export default router;
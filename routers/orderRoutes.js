@@ -0,0 +1,26 @@
+// routers/orderRoutes.js
+import express from 'express';
+import {
+  createOrderFromQuotation,
+  getOrders,
+  getMyOrders,
+  getOrder,
+  updateOrderStatus
+} from '../controllers/orderController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Customer routes
+router.get('/my-orders', getMyOrders);
+router.get('/:id', getOrder); // Both admin and owner can access
+
+// Staff routes
+router.get('/', requirePermission('orders:read'), getOrders);
+router.post('/from-quotation/:quotationId', requirePermission('orders:write'), createOrderFromQuotation);
+router.patch('/:id/status', requirePermission('orders:write'), updateOrderStatus);
+
+export default router;
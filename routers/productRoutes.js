@@ -1,30 +1,47 @@
 import express from "express";
 import {
   getProducts,
+  exportProducts,
+  importProducts,
   getProduct,
   createProduct,
   updateProduct,
   deleteProduct,
+  getDeletedProducts,
+  restoreProduct,
   checkLowStock,
+  getReorderSuggestions,
+  createReorderPurchaseOrders,
   updateStock,
+  getStockHistory,
+  getProductSourcing,
   getCategories
 } from "../controllers/productController.js";
 
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import productImageUpload from '../utils/productImageUpload.js';
+import csvUpload from '../utils/csvUpload.js';
 
 const productRouter = express.Router();
 
 // Public read routes (getProducts checks req.user to filter if not admin)
 productRouter.get("/", protect, getProducts);
-productRouter.get("/low-stock", protect, authorize('admin'), checkLowStock);
+productRouter.get("/export", protect, requirePermission('stock:read'), exportProducts); // CSV with the same filters as the list
+productRouter.get("/low-stock", protect, requirePermission('stock:read'), checkLowStock);
+productRouter.get("/reorder-suggestions", protect, requirePermission('stock:read'), getReorderSuggestions);
+productRouter.post("/reorder-suggestions/purchase-orders", protect, requirePermission('purchase_orders:write'), createReorderPurchaseOrders);
 productRouter.get("/categories", getCategories);
+productRouter.get("/trash", protect, requirePermission('products:delete'), getDeletedProducts);
+productRouter.get("/:id/stock-history", protect, requirePermission('stock:read'), getStockHistory);
+productRouter.get("/:id/sourcing", protect, requirePermission('suppliers:read'), getProductSourcing);
 productRouter.get("/:id", protect, getProduct);
 
-// Admin-only write routes with image upload
-productRouter.post("/", protect, authorize('admin'), productImageUpload.single('image'), createProduct);
-productRouter.put("/:id", protect, authorize('admin'), productImageUpload.single('image'), updateProduct);
-productRouter.delete("/:id", protect, authorize('admin'), deleteProduct);
-productRouter.patch("/:id/stock", protect, authorize('admin'), updateStock);
+// Staff write routes with image upload
+productRouter.post("/", protect, requirePermission('products:write'), productImageUpload.single('image'), createProduct);
+productRouter.post("/import", protect, requirePermission('products:write'), csvUpload.single('file'), importProducts); // ?dryRun=true to validate only
+productRouter.put("/:id", protect, requirePermission('products:write'), productImageUpload.single('image'), updateProduct);
+productRouter.delete("/:id", protect, requirePermission('products:delete'), deleteProduct);
+productRouter.post("/:id/restore", protect, requirePermission('products:delete'), restoreProduct);
+productRouter.patch("/:id/stock", protect, requirePermission('stock:adjust'), updateStock);
 
 export default productRouter;
@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrder,
+  updatePurchaseOrder,
+  updatePurchaseOrderStatus,
+  receiveGoods
+} from '../controllers/purchaseOrderController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Purchase orders are managed by staff only
+router.use(protect);
+
+router.route('/')
+  .post(requirePermission('purchase_orders:write'), createPurchaseOrder)
+  .get(requirePermission('purchase_orders:read'), getPurchaseOrders);
+
+router.route('/:id')
+  .get(requirePermission('purchase_orders:read'), getPurchaseOrder)
+  .put(requirePermission('purchase_orders:write'), updatePurchaseOrder); // Only draft purchase orders can be edited
+
+router.patch('/:id/status', requirePermission('purchase_orders:write'), updatePurchaseOrderStatus);
+router.post('/:id/receipts', requirePermission('purchase_orders:receive'), receiveGoods); // Record a goods-received note
+
+export default router;
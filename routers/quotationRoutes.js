@@ -8,25 +8,36 @@ import {
   deleteQuotation,
   getQuotationsByStatus,
   getMyQuotations,
-  getQuotationStats
+  getQuotationStats,
+  getQuotationPdf,
+  emailQuotation,
+  reviseQuotation,
+  getQuotationRevisions,
+  respondToQuotation
 } from '../controllers/quotationController.js';
-import { protect, authorize } from '../middleware/auth.js'; // Changed to use authorize instead of admin
+import { protect, optionalProtect, requirePermission, requireVerifiedEmail } from '../middleware/auth.js';
 import upload from '../utils/upload.js';
 
 const router = express.Router();
 
-// Public route for submitting quotations (customers can create without auth)
-router.post('/', upload.single('file'), createQuotation);
+// Public route for submitting quotations (customers can create without auth;
+// logged-in customers are recorded as the owner)
+router.post('/', optionalProtect, upload.single('file'), createQuotation);
 
 // Protected customer routes
 router.get('/my-quotations', protect, getMyQuotations);
 
-// Protected admin routes - use authorize('admin') instead of admin
-router.get('/', protect, authorize('admin'), getQuotations);
-router.get('/stats', protect, authorize('admin'), getQuotationStats);
-router.get('/status/:status', protect, authorize('admin'), getQuotationsByStatus);
+// Protected staff routes - permission based
+router.get('/', protect, requirePermission('quotations:read'), getQuotations);
+router.get('/stats', protect, requirePermission('quotations:read'), getQuotationStats);
+router.get('/status/:status', protect, requirePermission('quotations:read'), getQuotationsByStatus);
+router.get('/:id/pdf', protect, getQuotationPdf); // Both admin and owner can access
+router.get('/:id/revisions', protect, getQuotationRevisions); // Both admin and owner can access
+router.post('/:id/respond', protect, requireVerifiedEmail, respondToQuotation); // Owner (or staff for them) accepts or declines the latest revision
 router.get('/:id', protect, getQuotationById); // Both admin and owner can access
-router.patch('/:id/status', protect, authorize('admin'), updateQuotationStatus);
-router.delete('/:id', protect, authorize('admin'), deleteQuotation);
+router.post('/:id/email', protect, requirePermission('quotations:write'), emailQuotation);
+router.post('/:id/revisions', protect, requirePermission('quotations:price'), reviseQuotation);
+router.patch('/:id/status', protect, requirePermission('quotations:write'), updateQuotationStatus);
+router.delete('/:id', protect, requirePermission('quotations:delete'), deleteQuotation);
 
 export default router;
\ No newline at end of file
@@ -1,12 +1,16 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import {
   getProductReports,
   getSupplierReports,
+  getSupplierScorecards,
+  getSupplierScorecard,
   getUserReports,
   getQuotationReports,
   getReservationReports,
-  getDashboardOverview
+  getPurchaseOrderReports,
+  getDashboardOverview,
+  getMyReport
 } from '../controllers/reportController.js';
 
 const router = express.Router();
@@ -14,15 +18,23 @@ const router = express.Router();
 // All report routes require authentication
 router.use(protect);
 
+// Customer-scoped report of the user's own activity
+router.get('/me', getMyReport);
+
+// Everything below covers all customers, so it needs the reports:read permission
+router.use(requirePermission('reports:read'));
+
 // Dashboard overview
 router.get('/dashboard', getDashboardOverview);
 
-// Individual report routes
-router.get('/products', getProductReports);
-router.get('/suppliers', getSupplierReports);
-router.get('/users', getUserReports);
-router.get('/quotations', getQuotationReports);
-router.get('/reservations', getReservationReports);
+// Individual report routes, some also need access to the underlying data
+router.get('/products', requirePermission('stock:read'), getProductReports);
+router.get('/suppliers', requirePermission('suppliers:read'), getSupplierReports);
+router.get('/suppliers/scorecards', requirePermission('suppliers:read', 'purchase_orders:read'), getSupplierScorecards);
+router.get('/suppliers/:id/scorecard', requirePermission('suppliers:read', 'purchase_orders:read'), getSupplierScorecard);
+router.get('/users', requirePermission('users:read'), getUserReports);
+router.get('/quotations', requirePermission('quotations:read'), getQuotationReports);
+router.get('/reservations', requirePermission('reservations:read'), getReservationReports);
+router.get('/purchase-orders', requirePermission('purchase_orders:read'), getPurchaseOrderReports);
 
 export default router;
-
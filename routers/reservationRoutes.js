@@ -9,7 +9,7 @@ import {
   updateReservationStatus,
   deleteReservation
 } from '../controllers/reservationController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -17,14 +17,14 @@ const router = express.Router();
 router.use(protect);
 
 // Customer routes
-router.post('/', createReservation);
+router.post('/', requireVerifiedEmail, createReservation); // Reservations hold stock, so the email must be verified
 router.get('/my-reservations', getMyReservations);
 router.get('/:id', getReservation);
 router.put('/:id', updateReservation);
 
-// Admin routes
-router.get('/', authorize('admin'), getAllReservations);
-router.patch('/:id/status', authorize('admin'), updateReservationStatus);
-router.delete('/:id', authorize('admin'), deleteReservation);
+// Staff routes
+router.get('/', requirePermission('reservations:read'), getAllReservations);
+router.patch('/:id/status', requirePermission('reservations:write'), updateReservationStatus);
+router.delete('/:id', requirePermission('reservations:delete'), deleteReservation);
 
 export default router;
\ No newline at end of file
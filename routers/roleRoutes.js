@@ -0,0 +1,13 @@
+import express from 'express';
+import { getRoles, updateRolePermissions } from '../controllers/roleController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Role management is limited to users who can manage roles
+router.use(protect, requirePermission('roles:manage'));
+
+router.get('/', getRoles);
+router.put('/:name', updateRolePermissions);
+
+export default router;
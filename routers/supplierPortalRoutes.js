@@ -0,0 +1,41 @@
+import express from 'express';
+import {
+  getPortalSupplier,
+  updatePortalContact,
+  getPortalProducts,
+  getPortalNotifications,
+  acknowledgeNotification,
+  getPortalPurchaseOrders,
+  getPortalPurchaseOrder,
+  acknowledgePurchaseOrder,
+  getPortalAgreements,
+  downloadPortalContract,
+  uploadPortalContract
+} from '../controllers/supplierPortalController.js';
+import { protect, requireSupplierAccount } from '../middleware/auth.js';
+import contractUpload from '../utils/contractUpload.js';
+
+const router = express.Router();
+
+// Supplier accounts only, and every route is scoped to the account's own supplier
+router.use(protect, requireSupplierAccount);
+
+router.route('/me')
+  .get(getPortalSupplier)
+  .put(updatePortalContact); // Contact details only
+
+router.get('/products', getPortalProducts); // Products supplied with stock vs minStock
+
+router.get('/notifications', getPortalNotifications);
+router.post('/notifications/:id/acknowledge', acknowledgeNotification);
+
+router.get('/purchase-orders', getPortalPurchaseOrders);
+router.get('/purchase-orders/:id', getPortalPurchaseOrder);
+router.post('/purchase-orders/:id/acknowledge', acknowledgePurchaseOrder);
+
+router.get('/agreements', getPortalAgreements);
+router.route('/agreements/:agreementId/contract')
+  .get(downloadPortalContract)
+  .post(contractUpload.single('contract'), uploadPortalContract); // Renewed or signed agreement document
+
+export default router;
@@ -6,29 +6,64 @@ import {
   updateSupplier,
   removeSupplier,
   getExpiredAgreements,
-  notifyLowStock
+  getExpiringAgreements,
+  notifyLowStock,
+  getDeletedSuppliers,
+  restoreSupplier,
+  getSupplierCatalogue,
+  upsertSupplierCatalogueItem,
+  removeSupplierCatalogueItem,
+  getSupplierAgreements,
+  renewSupplierAgreement,
+  uploadAgreementContract,
+  downloadAgreementContract
 } from '../controllers/supplierController.js';
-import { protect, authorize } from '../middleware/auth.js'; // Import auth middleware
+import { protect, requirePermission } from '../middleware/auth.js'; // Import auth middleware
+import contractUpload from '../utils/contractUpload.js';
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
 
-// Apply authorize('admin') to routes that need admin access
+// Apply permission checks to routes that need staff access
 router.route('/')
-  .post(authorize('admin'), addSupplier) // Only admin can add suppliers
-  .get(authorize('admin'), getSuppliers); // Only admin can view all suppliers
+  .post(requirePermission('suppliers:write'), addSupplier) // Only supplier managers can add suppliers
+  .get(requirePermission('suppliers:read'), getSuppliers); // Only staff can view all suppliers
+
+router.route('/trash')
+  .get(requirePermission('suppliers:delete'), getDeletedSuppliers); // Suppliers moved to the trash
 
 router.route('/expired-agreements')
-  .get(authorize('admin'), getExpiredAgreements); // Only admin can view expired agreements
+  .get(requirePermission('suppliers:read'), getExpiredAgreements); // Only staff can view expired agreements
+
+router.route('/expiring-agreements')
+  .get(requirePermission('suppliers:read'), getExpiringAgreements); // Agreements ending within the warning window
 
 router.route('/:id')
-  .get(authorize('admin'), getSupplier) // Only admin can view specific supplier
-  .put(authorize('admin'), updateSupplier) // Only admin can update suppliers
-  .delete(authorize('admin'), removeSupplier); // Only admin can remove suppliers
+  .get(requirePermission('suppliers:read'), getSupplier) // Only staff can view specific supplier
+  .put(requirePermission('suppliers:write'), updateSupplier) // Only supplier managers can update suppliers
+  .delete(requirePermission('suppliers:delete'), removeSupplier); // Only admin can remove suppliers
+
+router.route('/:id/restore')
+  .post(requirePermission('suppliers:delete'), restoreSupplier); // Bring a supplier back from the trash
+
+router.route('/:id/agreements')
+  .get(requirePermission('suppliers:read'), getSupplierAgreements) // Agreement history, oldest first
+  .post(requirePermission('suppliers:write'), contractUpload.single('contract'), renewSupplierAgreement); // Renew with a new term
+
+router.route('/:id/agreements/:agreementId/contract')
+  .get(requirePermission('suppliers:read'), downloadAgreementContract)
+  .post(requirePermission('suppliers:write'), contractUpload.single('contract'), uploadAgreementContract);
+
+router.route('/:id/catalogue')
+  .get(requirePermission('suppliers:read'), getSupplierCatalogue); // Products offered with supplier SKU, cost and lead time
+
+router.route('/:id/catalogue/:productId')
+  .put(requirePermission('suppliers:write'), upsertSupplierCatalogueItem) // Add a product or change its terms
+  .delete(requirePermission('suppliers:write'), removeSupplierCatalogueItem);
 
 router.route('/:supplierId/notify-low-stock')
-  .post(authorize('admin'), notifyLowStock); // Only admin can send notifications
+  .post(requirePermission('suppliers:write'), notifyLowStock); // Only supplier managers can send notifications
 
 export default router;
\ No newline at end of file
@@ -9,29 +9,56 @@ import {
   deleteUser,
   getProfile,
   updateMe,
-  deleteMe
+  deleteMe,
+  updatePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshToken,
+  logoutAll,
+  revokeUserSessions,
+  updateUserRole,
+  getDeletedUsers,
+  restoreUser
 } from '../controllers/userController.js';
-import { protect, authorize, adminOrSelf } from '../middleware/auth.js';
+import { protect, requirePermission, adminOrSelf } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refreshToken);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password/:token', resetPassword);
+router.post('/verify-email/resend', protect, resendVerificationEmail);
+router.post('/verify-email/:token', verifyEmail);
 router.get('/logout', protect, logout);         // logout should be protected so only logged-in users can log themselves out
+router.post('/logout-all', protect, logoutAll); // end every session of the current user
 router.get('/me', protect, getMe);
 router.get('/profile', protect, getProfile);
+router.put('/me/password', protect, updatePassword);
+
+// Routes for the currently authenticated user to update/delete their own profile.
+// Registered before the /:id routes, which would otherwise match "me" as an ID.
+router.put('/me', protect, updateMe);
+router.delete('/me', protect, deleteMe);
 
 // Admin-only: list all users
-router.get('/', protect, authorize('admin'), getUsers);
+router.get('/', protect, requirePermission('users:read'), getUsers);
+router.get('/trash', protect, requirePermission('users:read'), getDeletedUsers);
 
 // Admin can update any user; adminOrSelf allows admin or owner for updating specific ID
 router.put('/:id', protect, adminOrSelf(), updateUser);
 
+// Role assignment requires the roles:manage permission
+router.put('/:id/role', protect, requirePermission('roles:manage'), updateUserRole);
+
 // Admin-only delete any user
-router.delete('/:id', protect, authorize('admin'), deleteUser);
+router.delete('/:id', protect, requirePermission('users:delete'), deleteUser);
+router.post('/:id/restore', protect, requirePermission('users:delete'), restoreUser);
 
-// Routes for the currently authenticated user to update/delete their own profile
-router.put('/me', protect, updateMe);
-router.delete('/me', protect, deleteMe);
+// Admin-only: log a user out everywhere
+router.post('/:id/revoke-sessions', protect, requirePermission('users:write'), revokeUserSessions);
 
 export default router;
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const METHOD_VERBS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Route prefix under /api -> audited entity type
+const ENTITY_TYPES = {
+  products: 'product',
+  users: 'user',
+  quotations: 'quotation',
+  suppliers: 'supplier',
+  reservations: 'reservation',
+  orders: 'order',
+  'purchase-orders': 'purchase_order',
+  notifications: 'notification',
+  roles: 'role',
+  invitations: 'invitation'
+};
+
+// Never copied into a diff
+const IGNORED_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'password', 'passwordResetToken', 'passwordResetExpires',
+  'emailVerificationToken', 'emailVerificationExpires', 'tokenHash', 'refreshTokenHash',
+  'previousTokenHashes'
+];
+
+const toPlain = (value) => {
+  if (!value) return {};
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Top-level field diff between two versions of a document.
+// Returns [{ field, from, to }]; a missing side is recorded as null.
+export const diffDocuments = (before, after) => {
+  const from = toPlain(before);
+  const to = toPlain(after);
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(from[field]) === JSON.stringify(to[field])) continue;
+    changes.push({
+      field,
+      from: from[field] === undefined ? null : from[field],
+      to: to[field] === undefined ? null : to[field]
+    });
+  }
+  return changes;
+};
+
+const getRequestMetadata = (req, statusCode) => ({
+  method: req.method,
+  path: req.originalUrl,
+  statusCode,
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+// Record an administrative change. Failures are logged, never thrown, so
+// auditing can't break the request that made the change.
+// entry: { action, entityType, entityId, before, after, changes, note }
+export const recordAudit = async (req, entry) => {
+  req.auditRecorded = true;
+
+  try {
+    return await AuditLog.create({
+      actor: req.user?._id,
+      actorEmail: req.user?.email,
+      actorRole: req.user?.role,
+      action: entry.action,
+      entityType: entry.entityType,
+      entityId: entry.entityId !== undefined && entry.entityId !== null ? String(entry.entityId) : undefined,
+      changes: entry.changes || diffDocuments(entry.before, entry.after),
+      request: getRequestMetadata(req, entry.statusCode),
+      note: entry.note
+    });
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+    return null;
+  }
+};
+
+// Work out entity type, id and action from a request path such as
+// /api/products/<id>/stock -> { entityType: 'product', entityId, action: 'product.stock' }
+const describeRequest = (req) => {
+  const [path] = req.originalUrl.split('?');
+  const segments = path.split('/').filter(Boolean).slice(1); // drop "api"
+  const entityType = ENTITY_TYPES[segments[0]] || segments[0] || 'unknown';
+
+  const rest = segments.slice(1);
+  const entityId = rest.find(segment => mongoose.Types.ObjectId.isValid(segment));
+  const subAction = rest.filter(segment => segment !== entityId).pop();
+
+  return {
+    entityType,
+    entityId,
+    action: `${entityType}.${subAction ? subAction.replace(/-/g, '_') : METHOD_VERBS[req.method]}`
+  };
+};
+
+// Record every successful mutating request made by staff. Controllers that
+// call recordAudit with a proper diff are skipped here to avoid duplicates.
+export const auditMutations = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+
+  res.on('finish', () => {
+    if (req.auditRecorded || res.statusCode >= 400) return;
+    // Only authenticated staff (users holding any permission) are audited
+    if (!req.user || !req.permissions || req.permissions.length === 0) return;
+
+    recordAudit(req, { ...describeRequest(req), changes: [], statusCode: res.statusCode });
+  });
+
+  next();
+};
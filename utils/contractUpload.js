@@ -0,0 +1,66 @@
+import multer from 'multer';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+
+// Get __dirname equivalent in ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Contracts are kept outside the public /uploads folder and only served through the API.
+// Resolved on use because this module is imported before dotenv loads CONTRACT_UPLOAD_DIR.
+export const getContractsDir = () => (
+  process.env.CONTRACT_UPLOAD_DIR || path.join(__dirname, '../storage/contracts/')
+);
+
+// Configure storage for contract files
+const contractStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const contractsDir = getContractsDir();
+    fs.mkdir(contractsDir, { recursive: true }, (error) => cb(error, contractsDir));
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `contract-${uniqueSuffix}${path.extname(file.originalname)}`);
+  }
+});
+
+// File filter for contracts: PDFs, Word documents and scanned images
+const contractFileFilter = (req, file, cb) => {
+  if (file.mimetype === 'application/pdf' ||
+      file.mimetype === 'application/msword' ||
+      file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
+      file.mimetype.startsWith('image/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('File type not supported. Please upload a PDF, Word document or image.'), false);
+  }
+};
+
+// Remove an uploaded contract file that is no longer needed
+export const removeContractFile = (filename) => {
+  if (!filename) return;
+  fs.unlink(path.join(getContractsDir(), filename), (error) => {
+    if (error && error.code !== 'ENOENT') console.error('Error removing contract file:', error);
+  });
+};
+
+// Contract file details stored on an agreement term
+export const toContractFile = (file, userId) => ({
+  filename: file.filename,
+  originalName: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size,
+  uploadedAt: new Date(),
+  uploadedBy: userId
+});
+
+const contractUpload = multer({
+  storage: contractStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: contractFileFilter
+});
+
+export default contractUpload;
@@ -0,0 +1,105 @@
+// Minimal cron expression support for the job scheduler.
+// Five fields: minute hour day-of-month month day-of-week, each accepting
+// "*", numbers, ranges (1-5), lists (1,15) and steps (*/15, 8-18/2).
+// Day-of-week 0 and 7 are both Sunday. Times are evaluated in server local time.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const parseField = (part, { name, min, max }) => {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${item}" in cron ${name} field`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(Number);
+    } else {
+      start = Number(range);
+      end = stepText === undefined ? start : max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid value "${item}" in cron ${name} field`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+};
+
+// Parse an expression into { minute, hour, dayOfMonth, month, dayOfWeek } value sets
+export const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields`);
+  }
+
+  const parsed = { expression };
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+  // Standard cron: when both day fields are restricted, either may match
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+  return parsed;
+};
+
+const matchesDay = (parsed, date) => {
+  const dom = parsed.dayOfMonth.has(date.getDate());
+  const dow = parsed.dayOfWeek.has(date.getDay());
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) return dom || dow;
+  return dom && dow;
+};
+
+export const matchesCron = (parsed, date) => {
+  return parsed.minute.has(date.getMinutes()) &&
+    parsed.hour.has(date.getHours()) &&
+    parsed.month.has(date.getMonth() + 1) &&
+    matchesDay(parsed, date);
+};
+
+// Next minute strictly after `from` that matches, or null if none within five years
+export const getNextRun = (parsed, from = new Date()) => {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + 5);
+
+  while (date <= limit) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+};
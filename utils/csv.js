@@ -0,0 +1,90 @@
+// Minimal RFC 4180 CSV support: quoted fields, escaped quotes ("") and
+// line breaks inside quotes. Used for catalogue import and export.
+
+// Parse CSV text into rows of { line, values }, where line is the physical line
+// the row starts on (1-based, counting line breaks inside quoted fields). Blank lines are skipped.
+const parseCsvLines = (input) => {
+  const text = String(input ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push({ line: rowLine, values: row });
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Parse CSV text into an array of rows (arrays of strings). Blank lines are skipped.
+export const parseCsv = (input) => parseCsvLines(input).map(row => row.values);
+
+// Parse CSV text with a header row into objects keyed by the header names.
+// Returns { headers, records }; each record carries the file line its row starts on as `line`.
+export const parseCsvRecords = (input) => {
+  const [header, ...rows] = parseCsvLines(input);
+  const names = (header ? header.values : []).map(name => name.trim());
+
+  const records = rows.map(({ line, values }) => {
+    const record = { line };
+    names.forEach((name, column) => {
+      if (name) record[name] = (values[column] ?? '').trim();
+    });
+    return record;
+  });
+
+  return { headers: names, records };
+};
+
+// Text starting with these characters is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Only text is neutralised so negative numbers are still exported as numbers
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format one row of values as a CSV line (with trailing CRLF)
+export const formatCsvRow = (values) => `${values.map(escapeField).join(',')}\r\n`;
@@ -0,0 +1,23 @@
+import multer from 'multer';
+import path from 'path';
+
+// CSV files are parsed straight from memory and never written to disk
+const csvFileFilter = (req, file, cb) => {
+  const isCsv = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype) ||
+    path.extname(file.originalname).toLowerCase() === '.csv';
+  if (isCsv) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only CSV files are allowed'), false);
+  }
+};
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: csvFileFilter
+});
+
+export default csvUpload;
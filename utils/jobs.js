@@ -0,0 +1,113 @@
+import Product from '../models/Product.js';
+import Quotation from '../models/Quotation.js';
+import { registerJob } from './scheduler.js';
+import { handleStockLevelChange } from './lowStockAlert.js';
+import { retryFailedNotifications, sendNotification, getAdminRecipients } from './notificationService.js';
+import { staleQuotationsTemplate } from './notificationTemplates.js';
+import { warnExpiringAgreements, deactivateLapsedSuppliers } from './supplierAgreements.js';
+import { purgeDeletedRecords } from './purgeDeleted.js';
+import { expireLapsedHolds } from './stockHolds.js';
+
+// Alert on products at or below minStock that were missed (e.g. minStock lowered
+// directly in the database) and re-arm alerts for products that were restocked
+export const checkLowStock = async () => {
+  const rearmed = await Product.updateMany(
+    { $expr: { $gt: ['$stock', '$minStock'] }, lowStockAlertSentAt: { $ne: null } },
+    { lowStockAlertSentAt: null }
+  );
+
+  const lowStockProducts = await Product.find({
+    $expr: { $lte: ['$stock', '$minStock'] },
+    isActive: true,
+    lowStockAlertSentAt: null
+  });
+
+  let alerted = 0;
+  for (const product of lowStockProducts) {
+    if (await handleStockLevelChange(product)) alerted += 1;
+  }
+
+  return { lowStock: lowStockProducts.length, alerted, rearmed: rearmed.modifiedCount };
+};
+
+// Tell admins about quotations pending longer than QUOTATION_STALE_DAYS (default 3), once each
+export const flagStaleQuotations = async () => {
+  const days = Number(process.env.QUOTATION_STALE_DAYS || 3);
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const stale = await Quotation.find({ status: 'pending', createdAt: { $lte: cutoff }, staleAlertSentAt: null })
+    .select('_id');
+
+  const flagged = [];
+  for (const { _id } of stale) {
+    const quotation = await Quotation.findOneAndUpdate(
+      { _id, staleAlertSentAt: null },
+      { staleAlertSentAt: new Date() },
+      { new: true }
+    );
+    if (quotation) flagged.push(quotation);
+  }
+
+  if (flagged.length > 0) {
+    await sendNotification({
+      type: 'stale_quotations',
+      to: await getAdminRecipients('QUOTATION_ALERT_EMAILS'),
+      ...staleQuotationsTemplate({ quotations: flagged, days }),
+      metadata: { quotationIds: flagged.map(quotation => quotation._id), days }
+    });
+  }
+
+  return { flagged: flagged.length };
+};
+
+// Register the built-in maintenance jobs. Schedules are cron expressions in server local time.
+export const registerDefaultJobs = () => {
+  registerJob({
+    name: 'supplier-agreement-warnings',
+    schedule: '0 7 * * *',
+    description: 'Warn admins about supplier agreements ending within SUPPLIER_AGREEMENT_WARNING_DAYS',
+    handler: () => warnExpiringAgreements()
+  });
+
+  registerJob({
+    name: 'supplier-agreement-expiry',
+    schedule: '15 0 * * *',
+    description: 'Deactivate suppliers whose agreement has expired (Supplier.findExpiredAgreements)',
+    handler: () => deactivateLapsedSuppliers()
+  });
+
+  registerJob({
+    name: 'low-stock-check',
+    schedule: '0 * * * *',
+    description: 'Send missed low stock alerts and re-arm alerts for restocked products',
+    handler: checkLowStock
+  });
+
+  registerJob({
+    name: 'reservation-hold-expiry',
+    schedule: '*/15 * * * *',
+    description: 'Release reservation holds past their expiry and record them in the stock ledger',
+    handler: () => expireLapsedHolds()
+  });
+
+  registerJob({
+    name: 'stale-quotations',
+    schedule: '0 8 * * *',
+    description: 'Notify admins about quotations pending longer than QUOTATION_STALE_DAYS',
+    handler: flagStaleQuotations
+  });
+
+  registerJob({
+    name: 'retry-failed-notifications',
+    schedule: '*/15 * * * *',
+    description: 'Retry failed notification deliveries that have attempts left',
+    handler: () => retryFailedNotifications()
+  });
+
+  registerJob({
+    name: 'purge-deleted-records',
+    schedule: '30 3 * * *',
+    description: 'Permanently remove unreferenced trashed records older than SOFT_DELETE_RETENTION_DAYS',
+    handler: () => purgeDeletedRecords()
+  });
+};
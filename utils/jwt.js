@@ -1,36 +1,108 @@
 import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
 
-// Generate JWT Token
-export const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = jwt.sign(
-    { id: user._id }, 
-    process.env.JWT_SECRET || 'fallback_secret', 
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
+const REFRESH_COOKIE = 'refreshToken';
+
+const refreshTokenDays = () => Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS || process.env.JWT_COOKIE_EXPIRE || 30);
+
+// Create a short-lived access token tied to a session
+export const signAccessToken = (user, session) => {
+  return jwt.sign(
+    { id: user._id, sid: session._id },
+    process.env.JWT_SECRET || 'fallback_secret',
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
   );
+};
 
-  const options = {
-    expires: new Date(
-      Date.now() + (process.env.JWT_COOKIE_EXPIRE || 30) * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true
-  };
+// Read a cookie value from the raw Cookie header
+export const getCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return undefined;
+
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return undefined;
+};
 
+// Refresh token sent by the client, from the body or the httpOnly cookie
+export const getRefreshTokenFromRequest = (req) => {
+  return (req.body && req.body.refreshToken) || getCookie(req, REFRESH_COOKIE);
+};
+
+const cookieOptions = (expires) => {
+  const options = { expires, httpOnly: true };
   if (process.env.NODE_ENV === 'production') {
     options.secure = true;
   }
+  return options;
+};
+
+// Send access and refresh tokens for a session
+export const sendSessionTokens = (user, session, refreshToken, statusCode, res) => {
+  const token = signAccessToken(user, session);
 
   res
     .status(statusCode)
-    .cookie('token', token, options)
+    .cookie('token', token, cookieOptions(session.expiresAt))
+    .cookie(REFRESH_COOKIE, refreshToken, { ...cookieOptions(session.expiresAt), path: '/api/users' })
     .json({
       success: true,
       token,
+      refreshToken,
       data: {
         id: user._id,
         fullName: user.fullName,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
-};
\ No newline at end of file
+};
+
+// Start a new session for the user and send its tokens
+export const sendTokenResponse = async (user, statusCode, res) => {
+  const req = res.req;
+  const refreshToken = Session.generateRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    userAgent: req && req.headers['user-agent'],
+    ip: req && req.ip,
+    expiresAt: new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000)
+  });
+
+  sendSessionTokens(user, session, refreshToken, statusCode, res);
+};
+
+// Rotate a session's refresh token. Resolves to the new (plain) refresh token,
+// or null if another request rotated the same token first.
+export const rotateRefreshToken = async (session) => {
+  const refreshToken = Session.generateRefreshToken();
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: Session.hashToken(refreshToken),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000)
+      },
+      $push: { previousTokenHashes: session.refreshTokenHash }
+    },
+    { new: true }
+  );
+
+  if (!rotated) return null;
+  session.expiresAt = rotated.expiresAt;
+  return refreshToken;
+};
+
+// Clear auth cookies
+export const clearAuthCookies = (res) => {
+  const expires = new Date(Date.now() + 10 * 1000);
+  res.cookie('token', 'none', { expires, httpOnly: true });
+  res.cookie(REFRESH_COOKIE, 'none', { expires, httpOnly: true, path: '/api/users' });
+};
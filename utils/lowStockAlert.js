@@ -1,9 +1,45 @@
-// Simple low stock alert utility
-// You can expand this to send emails or other notifications later
+import Product from '../models/Product.js';
+import { sendNotification, getAdminRecipients } from './notificationService.js';
 
-const sendLowStockNotification = (product) => {
-  console.log(`LOW STOCK ALERT: ${product.name} has only ${product.stock} units left (min: ${product.minStock})`);
-  // Add email notification or other alert mechanisms here
+const sendLowStockNotification = async (product) => {
+  const status = product.stock === 0 ? 'is out of stock' : `has only ${product.stock} units left`;
+
+  return sendNotification({
+    type: 'low_stock',
+    to: await getAdminRecipients('LOW_STOCK_ALERT_EMAILS'),
+    subject: `Low stock alert: ${product.name}`,
+    text: `LOW STOCK ALERT: ${product.name}${product.sku ? ` (${product.sku})` : ''} ${status} (min: ${product.minStock}).`,
+    relatedTo: { kind: 'Product', id: product._id },
+    metadata: { productId: product._id, sku: product.sku, stock: product.stock, minStock: product.minStock }
+  });
 };
 
-module.exports = { sendLowStockNotification };
\ No newline at end of file
+// Call after a product's stock or minStock may have changed.
+// Sends one alert when the product drops to or below minStock, and re-arms once it is restocked.
+export const handleStockLevelChange = async (product) => {
+  if (!product || !product.isActive) return null;
+
+  if (product.stock > product.minStock) {
+    if (product.lowStockAlertSentAt) {
+      await Product.updateOne({ _id: product._id }, { lowStockAlertSentAt: null });
+    }
+    return null;
+  }
+
+  // Claim the alert atomically so concurrent stock changes only send it once
+  const claimed = await Product.findOneAndUpdate(
+    { _id: product._id, lowStockAlertSentAt: null },
+    { lowStockAlertSentAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  return sendLowStockNotification(claimed);
+};
+
+// Fire-and-forget wrapper for request handlers: alert failures never fail the request
+export const queueStockLevelCheck = (product) => {
+  handleStockLevelChange(product).catch(error => {
+    console.error('Error sending low stock alert:', error);
+  });
+};
@@ -0,0 +1,24 @@
+import { getTransport } from './notificationTransports.js';
+
+// Transport used for account emails (password reset, verification...).
+// MAIL_TRANSPORT=email sends through SMTP; the default outbox writes messages
+// to disk for local development. Unlike notifications, account emails are not
+// stored in the database because they contain secret links.
+const getMailChannel = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  return process.env.SMTP_HOST ? 'email' : 'outbox';
+};
+
+export const sendMail = async ({ to, subject, text, html, type = 'account' }) => {
+  const transport = getTransport(getMailChannel());
+  return transport.send({
+    type,
+    to: [].concat(to),
+    subject,
+    text,
+    html
+  });
+};
+
+// Base URL of the frontend used in links sent by email
+export const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
@@ -0,0 +1,99 @@
+import Notification from '../models/Notification.js';
+import User from '../models/user.js';
+import { getTransport, getDefaultChannels } from './notificationTransports.js';
+
+// Failed notifications are retried until they have been attempted this many times.
+// Read on use because this module is imported before dotenv loads .env.
+export const getMaxDeliveryAttempts = () => Number(process.env.NOTIFICATION_MAX_ATTEMPTS || 5);
+
+// Try to deliver a stored notification through its channel and record the outcome.
+// Attachments are passed in because their content is not stored on the notification.
+export const deliverNotification = async (notification, { attachments } = {}) => {
+  notification.attempts += 1;
+
+  try {
+    const transport = getTransport(notification.channel);
+    await transport.send({
+      type: notification.type,
+      to: notification.recipients,
+      subject: notification.subject,
+      text: notification.text,
+      html: notification.html,
+      attachments,
+      metadata: notification.metadata
+    });
+
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.lastError = undefined;
+  } catch (error) {
+    console.error(`Failed to send ${notification.type} notification via ${notification.channel}:`, error.message);
+    notification.status = 'failed';
+    notification.lastError = error.message;
+  }
+
+  return notification.save();
+};
+
+// Admin recipients for system alerts: the comma separated emails in the given
+// environment variable, or every active admin
+export const getAdminRecipients = async (envVar) => {
+  if (envVar && process.env[envVar]) {
+    return process.env[envVar].split(',').map(email => email.trim()).filter(Boolean);
+  }
+  const admins = await User.find({ role: 'admin', isActive: true }).select('email');
+  return admins.map(admin => admin.email);
+};
+
+// Store and send a notification on each requested channel.
+// message: { type, to, subject, text, html, attachments, relatedTo, metadata, supplier, createdBy, channels }
+// Resolves to the stored notifications (one per channel); delivery errors are recorded, not thrown.
+export const sendNotification = async (message) => {
+  const channels = message.channels && message.channels.length > 0 ? message.channels : getDefaultChannels();
+  const recipients = [].concat(message.to || []).filter(Boolean);
+
+  const notifications = [];
+  for (const channel of channels) {
+    const notification = await Notification.create({
+      type: message.type,
+      channel,
+      recipients,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: (message.attachments || []).map(({ filename, contentType }) => ({ filename, contentType })),
+      relatedTo: message.relatedTo,
+      metadata: message.metadata,
+      supplier: message.supplier,
+      createdBy: message.createdBy
+    });
+
+    notifications.push(await deliverNotification(notification, { attachments: message.attachments }));
+  }
+
+  return notifications;
+};
+
+// Retry failed notifications that still have attempts left.
+// Notifications with attachments are skipped because their content is not stored.
+export const retryFailedNotifications = async ({ limit = 50 } = {}) => {
+  const failed = await Notification.find({
+    status: 'failed',
+    attempts: { $lt: getMaxDeliveryAttempts() },
+    'attachments.0': { $exists: false }
+  })
+    .sort({ updatedAt: 1 })
+    .limit(limit);
+
+  const results = { retried: failed.length, sent: 0, failed: 0 };
+  for (const notification of failed) {
+    const delivered = await deliverNotification(notification);
+    if (delivered.status === 'sent') {
+      results.sent += 1;
+    } else {
+      results.failed += 1;
+    }
+  }
+
+  return results;
+};
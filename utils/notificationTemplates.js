@@ -0,0 +1,173 @@
+// Message templates used by the notification service.
+// Each template returns { subject, text, html }.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Low stock message sent to a supplier listing the products that need replenishing
+export const supplierLowStockTemplate = ({ supplier, products, message }) => {
+  const subject = `NS Stores: low stock on ${products.length} product${products.length === 1 ? '' : 's'} you supply`;
+
+  const lines = products.map(product => {
+    const sku = product.sku ? ` (${product.sku})` : '';
+    return `- ${product.name}${sku}: ${product.stock} in stock, minimum ${product.minStock}`;
+  });
+
+  const text = [
+    `Dear ${supplier.name},`,
+    '',
+    'The following products supplied by you are at or below their minimum stock level at NS Stores:',
+    '',
+    ...lines,
+    '',
+    ...(message ? [message, ''] : []),
+    'Please let us know when we can expect a delivery.',
+    '',
+    'Thank you,',
+    'NS Stores'
+  ].join('\n');
+
+  const rows = products.map(product => `
+      <tr>
+        <td>${escapeHtml(product.name)}</td>
+        <td>${escapeHtml(product.sku)}</td>
+        <td style="text-align:right">${escapeHtml(product.stock)}</td>
+        <td style="text-align:right">${escapeHtml(product.minStock)}</td>
+      </tr>`).join('');
+
+  const html = `
+    <p>Dear ${escapeHtml(supplier.name)},</p>
+    <p>The following products supplied by you are at or below their minimum stock level at NS Stores:</p>
+    <table border="1" cellpadding="6" cellspacing="0" style="border-collapse:collapse">
+      <thead>
+        <tr><th>Product</th><th>SKU</th><th>In stock</th><th>Minimum</th></tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+    ${message ? `<p>${escapeHtml(message)}</p>` : ''}
+    <p>Please let us know when we can expect a delivery.</p>
+    <p>Thank you,<br>NS Stores</p>`;
+
+  return { subject, text, html };
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const agreementRows = (suppliers) => suppliers.map(supplier => `
+      <tr>
+        <td>${escapeHtml(supplier.name)}</td>
+        <td>${escapeHtml(supplier.company)}</td>
+        <td>${escapeHtml(formatDate(supplier.agreementEndDate))}</td>
+      </tr>`).join('');
+
+// Admin digest of supplier agreements that end within the warning window
+export const agreementExpiringTemplate = ({ suppliers, days }) => {
+  const subject = `NS Stores: ${suppliers.length} supplier agreement${suppliers.length === 1 ? '' : 's'} expiring within ${days} days`;
+
+  const text = [
+    `The following supplier agreements end within the next ${days} days:`,
+    '',
+    ...suppliers.map(supplier => `- ${supplier.name} (${supplier.company}): ends ${formatDate(supplier.agreementEndDate)}`),
+    '',
+    'Renew them before they lapse, otherwise the suppliers will be deactivated automatically.'
+  ].join('\n');
+
+  const html = `
+    <p>The following supplier agreements end within the next ${escapeHtml(days)} days:</p>
+    <table border="1" cellpadding="6" cellspacing="0" style="border-collapse:collapse">
+      <thead>
+        <tr><th>Supplier</th><th>Company</th><th>Agreement ends</th></tr>
+      </thead>
+      <tbody>${agreementRows(suppliers)}
+      </tbody>
+    </table>
+    <p>Renew them before they lapse, otherwise the suppliers will be deactivated automatically.</p>`;
+
+  return { subject, text, html };
+};
+
+// Admin notice listing suppliers deactivated because their agreement lapsed
+export const agreementLapsedTemplate = ({ suppliers }) => {
+  const subject = `NS Stores: ${suppliers.length} supplier${suppliers.length === 1 ? '' : 's'} deactivated after agreement expiry`;
+
+  const text = [
+    'The following suppliers were deactivated because their agreement has expired:',
+    '',
+    ...suppliers.map(supplier => `- ${supplier.name} (${supplier.company}): ended ${formatDate(supplier.agreementEndDate)}`),
+    '',
+    'Renewing an agreement reactivates the supplier.'
+  ].join('\n');
+
+  const html = `
+    <p>The following suppliers were deactivated because their agreement has expired:</p>
+    <table border="1" cellpadding="6" cellspacing="0" style="border-collapse:collapse">
+      <thead>
+        <tr><th>Supplier</th><th>Company</th><th>Agreement ended</th></tr>
+      </thead>
+      <tbody>${agreementRows(suppliers)}
+      </tbody>
+    </table>
+    <p>Renewing an agreement reactivates the supplier.</p>`;
+
+  return { subject, text, html };
+};
+
+// Admin digest of quotations that have been waiting for a response too long
+export const staleQuotationsTemplate = ({ quotations, days }) => {
+  const subject = `NS Stores: ${quotations.length} quotation${quotations.length === 1 ? '' : 's'} pending for more than ${days} days`;
+
+  const text = [
+    `The following quotation requests have been pending for more than ${days} days:`,
+    '',
+    ...quotations.map(quotation => `- ${quotation.name} <${quotation.email}>: requested ${formatDate(quotation.createdAt)}`),
+    '',
+    'Please price or reject them.'
+  ].join('\n');
+
+  const rows = quotations.map(quotation => `
+      <tr>
+        <td>${escapeHtml(quotation.name)}</td>
+        <td>${escapeHtml(quotation.email)}</td>
+        <td>${escapeHtml(formatDate(quotation.createdAt))}</td>
+      </tr>`).join('');
+
+  const html = `
+    <p>The following quotation requests have been pending for more than ${escapeHtml(days)} days:</p>
+    <table border="1" cellpadding="6" cellspacing="0" style="border-collapse:collapse">
+      <thead>
+        <tr><th>Customer</th><th>Email</th><th>Requested</th></tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+    <p>Please price or reject them.</p>`;
+
+  return { subject, text, html };
+};
+
+// Admin notice that a supplier uploaded an agreement document from the supplier portal
+export const supplierContractUploadedTemplate = ({ supplier, agreement, uploadedBy, filename }) => {
+  const subject = `NS Stores: ${supplier.name} uploaded an agreement document`;
+  const term = `${formatDate(agreement.startDate)} to ${formatDate(agreement.endDate)}`;
+
+  const text = [
+    `${uploadedBy.fullName} <${uploadedBy.email}> uploaded "${filename}" for ${supplier.name} (${supplier.company}).`,
+    '',
+    `Agreement term: ${term}`,
+    '',
+    'Please review the document and renew the agreement if needed.'
+  ].join('\n');
+
+  const html = `
+    <p>${escapeHtml(uploadedBy.fullName)} &lt;${escapeHtml(uploadedBy.email)}&gt; uploaded
+      <strong>${escapeHtml(filename)}</strong> for ${escapeHtml(supplier.name)} (${escapeHtml(supplier.company)}).</p>
+    <p>Agreement term: ${escapeHtml(term)}</p>
+    <p>Please review the document and renew the agreement if needed.</p>`;
+
+  return { subject, text, html };
+};
@@ -0,0 +1,147 @@
+import nodemailer from 'nodemailer';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+// Get __dirname equivalent in ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Every transport exposes send({ to, subject, text, html, attachments, type, metadata })
+
+// SMTP email transport (configured through SMTP_* environment variables)
+const createEmailTransport = () => {
+  let transporter;
+
+  return {
+    name: 'email',
+    async send(message) {
+      if (!message.to || message.to.length === 0) {
+        throw new Error('Email notifications need at least one recipient');
+      }
+      if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is not configured');
+      }
+
+      if (!transporter) {
+        transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: Number(process.env.SMTP_PORT || 587),
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+        });
+      }
+
+      return transporter.sendMail({
+        from: process.env.MAIL_FROM || 'NS Stores <no-reply@nsstores.local>',
+        to: message.to.join(', '),
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        attachments: message.attachments
+      });
+    }
+  };
+};
+
+// Generic webhook transport: POSTs the message as JSON to NOTIFICATION_WEBHOOK_URL
+const createWebhookTransport = () => ({
+  name: 'webhook',
+  async send(message) {
+    const url = process.env.NOTIFICATION_WEBHOOK_URL;
+    if (!url) {
+      throw new Error('NOTIFICATION_WEBHOOK_URL is not configured');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+      headers['X-Webhook-Secret'] = process.env.NOTIFICATION_WEBHOOK_SECRET;
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        type: message.type,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        metadata: message.metadata
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with status ${response.status}`);
+    }
+    return { status: response.status };
+  }
+});
+
+// File outbox transport for local development: writes each message to disk
+const createOutboxTransport = () => ({
+  name: 'outbox',
+  async send(message) {
+    const outboxDir = process.env.NOTIFICATION_OUTBOX_DIR || path.join(__dirname, '../outbox');
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const baseName = `${Date.now()}-${Math.round(Math.random() * 1E9)}-${message.type || 'message'}`;
+    const attachments = [];
+    for (const attachment of message.attachments || []) {
+      const fileName = `${baseName}-${attachment.filename}`;
+      await fs.writeFile(path.join(outboxDir, fileName), attachment.content);
+      attachments.push(fileName);
+    }
+
+    const filePath = path.join(outboxDir, `${baseName}.json`);
+    await fs.writeFile(filePath, JSON.stringify({
+      type: message.type,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments,
+      metadata: message.metadata,
+      createdAt: new Date().toISOString()
+    }, null, 2));
+
+    return { filePath };
+  }
+});
+
+const transportFactories = {
+  email: createEmailTransport,
+  webhook: createWebhookTransport,
+  outbox: createOutboxTransport
+};
+
+const transports = new Map();
+
+// Get (and lazily create) the transport for a channel
+export const getTransport = (channel) => {
+  if (!isKnownChannel(channel)) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  if (!transports.has(channel)) {
+    transports.set(channel, transportFactories[channel]());
+  }
+  return transports.get(channel);
+};
+
+// Whether a transport is registered for a channel name
+export const isKnownChannel = (channel) => Object.hasOwn(transportFactories, channel);
+
+// Register a custom transport, or replace a built-in one (e.g. in tests)
+export const registerTransport = (channel, factory) => {
+  transportFactories[channel] = factory;
+  transports.delete(channel);
+};
+
+// Channels used when a caller does not ask for specific ones, e.g. NOTIFICATION_CHANNELS=email,webhook
+export const getDefaultChannels = () => {
+  return (process.env.NOTIFICATION_CHANNELS || 'outbox')
+    .split(',')
+    .map(channel => channel.trim())
+    .filter(Boolean);
+};
@@ -0,0 +1,92 @@
+import Order from '../models/Order.js';
+import { deductStock, restoreStock } from './stock.js';
+import { calculateQuotationTotals } from './quotationPricing.js';
+
+// Turn a quotation into an order: snapshot its items, deduct stock for each
+// line and mark the quotation as completed.
+// Resolves to { order } on success or { status, message, errors } on failure.
+export const convertQuotationToOrder = async (quotation, user, { notes } = {}) => {
+  if (quotation.order) {
+    return { status: 409, message: 'Quotation has already been converted to an order' };
+  }
+
+  if (quotation.status === 'rejected') {
+    return { status: 400, message: 'Rejected quotations cannot be converted to an order' };
+  }
+
+  const response = quotation.customerResponse || {};
+  if (response.decision === 'declined') {
+    return { status: 400, message: 'The customer declined the latest revision of this quotation' };
+  }
+
+  // A revised quotation changed its prices, so the customer has to accept the new revision first
+  if (quotation.currentRevision > 0 &&
+    !(response.decision === 'accepted' && response.revision === quotation.currentRevision)) {
+    return { status: 400, message: 'The customer has not accepted the latest revision of this quotation' };
+  }
+
+  if (!quotation.items || quotation.items.length === 0) {
+    return { status: 400, message: 'Quotation has no items to order' };
+  }
+
+  const lines = quotation.items.map(item => ({
+    product: item.product,
+    productId: item.productId,
+    category: item.category,
+    quantity: item.quantity,
+    price: item.price,
+    discountPercent: item.discountPercent || 0,
+    subtotal: item.subtotal
+  }));
+  const totals = calculateQuotationTotals({
+    items: lines,
+    discountPercent: quotation.discountPercent,
+    taxRate: quotation.taxRate
+  });
+
+  const stockContext = {
+    reason: 'order',
+    actor: user._id,
+    reference: { kind: 'Quotation', id: quotation._id }
+  };
+
+  const result = await deductStock(lines, stockContext);
+  if (!result.success) {
+    return { status: 400, message: 'Insufficient stock for one or more items', errors: result.errors };
+  }
+
+  let order;
+  try {
+    order = await Order.create({
+      orderNumber: Order.generateOrderNumber(),
+      quotation: quotation._id,
+      customer: quotation.createdBy || undefined,
+      name: quotation.name,
+      email: quotation.email,
+      phone: quotation.phone,
+      company: quotation.company,
+      address: quotation.address,
+      items: totals.items,
+      subtotal: totals.subtotal,
+      discountAmount: totals.discountAmount,
+      taxAmount: totals.taxAmount,
+      totalAmount: totals.totalAmount,
+      notes,
+      createdBy: user._id
+    });
+  } catch (error) {
+    // Give the stock back if the order could not be stored
+    await restoreStock(lines, { ...stockContext, reason: 'rollback' });
+    if (error.code === 11000) {
+      return { status: 409, message: 'Quotation has already been converted to an order' };
+    }
+    throw error;
+  }
+
+  quotation.order = order._id;
+  quotation.status = 'completed';
+  quotation.updatedBy = user._id;
+  await quotation.save();
+
+  return { order };
+};
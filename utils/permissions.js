@@ -0,0 +1,73 @@
+import Role, { PERMISSIONS, ROLES } from '../models/Role.js';
+
+export { PERMISSIONS, ROLES };
+
+// Permissions used until an admin changes a role's assignments.
+// Admins always have every permission.
+export const DEFAULT_ROLE_PERMISSIONS = {
+  customer: [],
+  admin: PERMISSIONS,
+  inventory_manager: [
+    'products:write', 'stock:read', 'stock:adjust', 'suppliers:read',
+    'purchase_orders:read', 'purchase_orders:receive', 'reservations:read',
+    'notifications:read', 'reports:read'
+  ],
+  sales: [
+    'quotations:read', 'quotations:write', 'quotations:price', 'orders:read', 'orders:write',
+    'reservations:read', 'reservations:write', 'stock:read', 'reports:read'
+  ],
+  supplier_manager: [
+    'suppliers:read', 'suppliers:write', 'purchase_orders:read', 'purchase_orders:write',
+    'stock:read', 'notifications:read', 'notifications:write', 'reports:read'
+  ],
+  viewer: [
+    'stock:read', 'orders:read', 'quotations:read', 'reservations:read', 'suppliers:read',
+    'purchase_orders:read', 'notifications:read', 'reports:read'
+  ],
+  // Portal access comes from the linked supplier, not from permissions
+  supplier: []
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+let cacheLoadedAt = 0;
+
+// Role -> permissions map: stored assignments override the defaults
+const loadRolePermissions = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) return cache;
+
+  const stored = await Role.find().select('name permissions');
+  const map = { ...DEFAULT_ROLE_PERMISSIONS };
+  for (const role of stored) {
+    if (role.name !== 'admin') map[role.name] = role.permissions;
+  }
+
+  cache = map;
+  cacheLoadedAt = Date.now();
+  return map;
+};
+
+// Forget cached assignments after they change
+export const clearPermissionCache = () => {
+  cache = null;
+};
+
+export const getPermissionsForRole = async (role) => {
+  if (role === 'admin') return PERMISSIONS;
+  const map = await loadRolePermissions();
+  return map[role] || [];
+};
+
+export const getAllRolePermissions = async () => {
+  const map = await loadRolePermissions();
+  return ROLES.map(name => ({
+    name,
+    permissions: name === 'admin' ? PERMISSIONS : (map[name] || []),
+    editable: name !== 'admin'
+  }));
+};
+
+// Check a permission for the current request (protect loads req.permissions)
+export const hasPermission = (req, permission) => {
+  return !!(req.user && req.permissions && req.permissions.includes(permission));
+};
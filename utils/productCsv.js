@@ -0,0 +1,253 @@
+import Product from '../models/Product.js';
+import Supplier from '../models/Supplier.js';
+import JobRun from '../models/JobRun.js';
+import { parseCsvRecords } from './csv.js';
+import { recordStockMovement } from './stockLedger.js';
+import { queueStockLevelCheck } from './lowStockAlert.js';
+import { syncProductSupplier } from './supplierLinks.js';
+
+// Columns read by the import, in the order the export writes them
+export const IMPORT_COLUMNS = ['sku', 'name', 'description', 'price', 'category', 'stock', 'minStock', 'supplierEmail'];
+export const EXPORT_COLUMNS = [...IMPORT_COLUMNS, 'isActive'];
+
+// Read on use because this module is imported before dotenv loads .env
+const getMaxRows = () => Number(process.env.PRODUCT_IMPORT_MAX_ROWS || 5000);
+
+// Header names are matched ignoring case, spaces and punctuation ("Supplier Email", "min_stock"...)
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+const HEADER_COLUMNS = {
+  ...Object.fromEntries(IMPORT_COLUMNS.map(column => [normalizeHeader(column), column])),
+  supplier: 'supplierEmail'
+};
+
+const NUMBER_COLUMNS = {
+  price: { integer: false },
+  stock: { integer: true },
+  minStock: { integer: true }
+};
+
+// Row values for one product in EXPORT_COLUMNS order (supplier must be populated with its email)
+export const toCsvValues = (product) => [
+  product.sku,
+  product.name,
+  product.description,
+  product.price,
+  product.category,
+  product.stock,
+  product.minStock,
+  product.supplier?.email || '',
+  product.isActive
+];
+
+const parseNumber = (column, value, errors) => {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) {
+    errors.push(`${column} must be a number`);
+  } else if (NUMBER_COLUMNS[column].integer && !Number.isInteger(number)) {
+    errors.push(`${column} must be a whole number`);
+  } else {
+    return number;
+  }
+  return undefined;
+};
+
+const validationMessages = (error) => (
+  error ? Object.values(error.errors).map(item => item.message) : []
+);
+
+// Check every row and work out what importing it would do, without writing anything.
+// Empty cells leave an existing product's value unchanged.
+const planRows = async (records) => {
+  const skus = records.map(record => record.sku).filter(Boolean);
+  const emails = records.map(record => record.supplierEmail).filter(Boolean).map(email => email.toLowerCase());
+
+  const [existingProducts, suppliers] = await Promise.all([
+    Product.find({ sku: { $in: skus } })
+      .setOptions({ withDeleted: true })
+      .collation({ locale: 'en', strength: 2 }),
+    Supplier.find({ email: { $in: emails } }).select('email')
+  ]);
+
+  const productsBySku = new Map(existingProducts.map(product => [product.sku.toLowerCase(), product]));
+  const suppliersByEmail = new Map(suppliers.map(supplier => [supplier.email, supplier]));
+  const seenSkus = new Map();
+
+  return records.map(record => {
+    const errors = [];
+    const data = {};
+
+    if (!record.sku) {
+      errors.push('sku is required');
+    } else if (seenSkus.has(record.sku.toLowerCase())) {
+      errors.push(`Duplicate sku, already used on line ${seenSkus.get(record.sku.toLowerCase())}`);
+    } else {
+      seenSkus.set(record.sku.toLowerCase(), record.line);
+    }
+
+    for (const column of ['name', 'description', 'category']) {
+      if (record[column]) data[column] = record[column];
+    }
+    for (const column of Object.keys(NUMBER_COLUMNS)) {
+      if (record[column] !== undefined && record[column] !== '') {
+        const number = parseNumber(column, record[column], errors);
+        if (number !== undefined) data[column] = number;
+      }
+    }
+    if (record.supplierEmail) {
+      const supplier = suppliersByEmail.get(record.supplierEmail.toLowerCase());
+      if (supplier) {
+        data.supplier = supplier._id;
+      } else {
+        errors.push(`No supplier with email ${record.supplierEmail}`);
+      }
+    }
+
+    const existing = record.sku ? productsBySku.get(record.sku.toLowerCase()) : null;
+    if (existing && existing.isDeleted()) {
+      errors.push('sku belongs to a deleted product, restore it before importing');
+    }
+
+    const row = { line: record.line, sku: record.sku || null, errors };
+    if (errors.length > 0) {
+      return { ...row, action: 'error' };
+    }
+
+    if (existing) {
+      const before = { supplier: existing.supplier };
+      existing.set(data);
+      errors.push(...validationMessages(existing.validateSync()));
+      const action = errors.length > 0 ? 'error' : (existing.isModified() ? 'update' : 'unchanged');
+      return { ...row, action, product: existing, before };
+    }
+
+    const product = new Product({ ...data, sku: record.sku });
+    errors.push(...validationMessages(product.validateSync()));
+    return { ...row, action: errors.length > 0 ? 'error' : 'create', product };
+  });
+};
+
+// Save one planned row, keeping the stock ledger and supplier links in step like createProduct/updateProduct.
+// A stock level from the file replaces the current one; it is written on its own so the
+// ledger records the level it actually replaced, even if stock moved since planning.
+const applyRow = async (row, actor) => {
+  const { product } = row;
+  const supplierBefore = row.action === 'create' ? null : row.before.supplier;
+  const stock = product.stock;
+  const replacesStock = row.action === 'update' && product.isModified('stock');
+  if (replacesStock) product.unmarkModified('stock');
+
+  let saved = await product.save();
+
+  if (row.action === 'create' && saved.stock !== 0) {
+    await recordStockMovement({
+      product: saved._id,
+      quantity: saved.stock,
+      stockBefore: 0,
+      stockAfter: saved.stock
+    }, { reason: 'initial_stock', actor, note: 'Catalogue import' });
+  }
+
+  if (replacesStock) {
+    const previous = await Product.findOneAndUpdate(
+      { _id: saved._id },
+      { $set: { stock } },
+      { new: false, runValidators: true }
+    );
+    if (previous && previous.stock !== stock) {
+      await recordStockMovement({
+        product: saved._id,
+        quantity: stock - previous.stock,
+        stockBefore: previous.stock,
+        stockAfter: stock
+      }, { reason: 'product_update', actor, note: 'Catalogue import' });
+    }
+    saved = await Product.findById(saved._id);
+  }
+
+  await syncProductSupplier(saved._id, supplierBefore, saved.supplier, actor);
+  queueStockLevelCheck(saved);
+  return saved;
+};
+
+const summarise = (rows) => {
+  const count = (action) => rows.filter(row => row.action === action).length;
+  return {
+    totalRows: rows.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    failed: count('error')
+  };
+};
+
+const toReportRow = ({ line, sku, action, errors, product }) => ({
+  line,
+  sku,
+  action,
+  productId: action !== 'error' && product && !product.isNew ? product._id : undefined,
+  errors
+});
+
+// Import products from CSV text, matching existing products by sku (case-insensitive).
+// Rows with errors are skipped and reported; with dryRun nothing is written.
+// Real imports are recorded as a 'product-import' job run with their summary.
+// Resolves to { dryRun, jobRunId, ignoredColumns, summary, rows }.
+export const importProducts = async (csvText, { dryRun = false, actor } = {}) => {
+  const { headers, records: rawRecords } = parseCsvRecords(csvText);
+
+  const columns = headers.map(header => HEADER_COLUMNS[normalizeHeader(header)]);
+  if (!columns.includes('sku')) {
+    throw new Error(`The CSV must have a header row with a sku column. Supported columns: ${IMPORT_COLUMNS.join(', ')}`);
+  }
+  if (rawRecords.length === 0) {
+    throw new Error('The CSV has no product rows');
+  }
+  const maxRows = getMaxRows();
+  if (rawRecords.length > maxRows) {
+    throw new Error(`The CSV has ${rawRecords.length} rows, the limit is ${maxRows}`);
+  }
+
+  // Rename the file's headers to import columns
+  const records = rawRecords.map(raw => {
+    const record = { line: raw.line };
+    headers.forEach((header, index) => {
+      if (columns[index]) record[columns[index]] = raw[header];
+    });
+    return record;
+  });
+  const ignoredColumns = headers.filter((header, index) => header && !columns[index]);
+
+  const rows = await planRows(records);
+
+  if (dryRun) {
+    return { dryRun: true, ignoredColumns, summary: summarise(rows), rows: rows.map(toReportRow) };
+  }
+
+  const run = await JobRun.create({ job: 'product-import', trigger: 'manual', triggeredBy: actor });
+
+  try {
+    for (const row of rows.filter(item => item.action === 'create' || item.action === 'update')) {
+      try {
+        await applyRow(row, actor);
+      } catch (error) {
+        row.action = 'error';
+        row.errors.push(error.code === 11000 ? 'SKU must be unique' : error.message);
+      }
+    }
+
+    const summary = summarise(rows);
+    const report = rows.map(toReportRow);
+
+    run.status = 'succeeded';
+    run.result = { ...summary, errors: report.filter(row => row.action === 'error') };
+    return { dryRun: false, jobRunId: run._id, ignoredColumns, summary, rows: report };
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    throw error;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+  }
+};
@@ -0,0 +1,83 @@
+import Product from '../models/Product.js';
+import Supplier from '../models/Supplier.js';
+import User from '../models/user.js';
+import Quotation from '../models/Quotation.js';
+import Order from '../models/Order.js';
+import Reservation from '../models/reservation.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import StockMovement from '../models/StockMovement.js';
+import Session from '../models/Session.js';
+import SupplierProduct from '../models/SupplierProduct.js';
+
+export const getRetentionDays = () => Number(process.env.SOFT_DELETE_RETENTION_DAYS || 30);
+
+// Documents that keep a trashed record alive: [label, Model, filter(id)].
+// Trashed referencing documents count too, so they are checked with deleted ones included.
+const REFERENCES = {
+  product: [
+    ['quotations', Quotation, id => ({ $or: [{ 'items.productId': String(id) }, { 'revisions.items.productId': String(id) }] })],
+    ['orders', Order, id => ({ 'items.productId': id })],
+    ['reservations', Reservation, id => ({ 'items.product': id })],
+    ['purchaseOrders', PurchaseOrder, id => ({ 'lines.product': id })],
+    ['stockMovements', StockMovement, id => ({ product: id })],
+    ['suppliers', Supplier, id => ({ productsSupplied: id })]
+  ],
+  supplier: [
+    ['products', Product, id => ({ supplier: id })],
+    ['purchaseOrders', PurchaseOrder, id => ({ supplier: id })]
+  ],
+  user: [
+    ['quotations', Quotation, id => ({ createdBy: id })],
+    ['orders', Order, id => ({ $or: [{ customer: id }, { createdBy: id }] })],
+    ['reservations', Reservation, id => ({ createdBy: id })],
+    ['purchaseOrders', PurchaseOrder, id => ({ createdBy: id })]
+  ]
+};
+
+const PURGEABLE_MODELS = { product: Product, supplier: Supplier, user: User };
+
+// Name of the first collection still referencing the document, or null
+export const findReference = async (entityType, id) => {
+  for (const [label, Model, buildFilter] of REFERENCES[entityType]) {
+    if (await Model.exists(buildFilter(id)).setOptions({ withDeleted: true })) {
+      return label;
+    }
+  }
+  return null;
+};
+
+// Permanently remove trashed products, suppliers and users deleted more than
+// retentionDays ago. Anything still referenced stays in the trash.
+export const purgeDeletedRecords = async ({ retentionDays = getRetentionDays(), limit = 500 } = {}) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const summary = { cutoff, purged: {}, kept: {} };
+
+  for (const [entityType, Model] of Object.entries(PURGEABLE_MODELS)) {
+    summary.purged[entityType] = 0;
+    summary.kept[entityType] = 0;
+
+    const candidates = await Model.find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .select('_id')
+      .limit(limit);
+
+    for (const { _id } of candidates) {
+      if (await findReference(entityType, _id)) {
+        summary.kept[entityType] += 1;
+        continue;
+      }
+
+      // Only remove it if it is still in the trash
+      const result = await Model.deleteOne({ _id, deletedAt: { $ne: null, $lte: cutoff } });
+      if (result.deletedCount) {
+        summary.purged[entityType] += 1;
+        if (entityType === 'user') {
+          await Session.deleteMany({ user: _id });
+        } else {
+          await SupplierProduct.deleteMany({ [entityType]: _id });
+        }
+      }
+    }
+  }
+
+  return summary;
+};
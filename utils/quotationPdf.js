@@ -0,0 +1,147 @@
+import PDFDocument from 'pdfkit';
+import { calculateQuotationTotals } from './quotationPricing.js';
+
+const company = () => ({
+  name: process.env.COMPANY_NAME || 'NS Stores',
+  address: process.env.COMPANY_ADDRESS || '',
+  phone: process.env.COMPANY_PHONE || '',
+  email: process.env.COMPANY_EMAIL || ''
+});
+
+// Read on use, like company(), because this module is imported before dotenv loads .env
+const getCurrency = () => process.env.CURRENCY || 'LKR';
+const getValidityDays = () => Number(process.env.QUOTATION_VALIDITY_DAYS || 30);
+
+const formatMoney = (amount) => `${getCurrency()} ${Number(amount || 0).toFixed(2)}`;
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+// Subtotal, discount, tax and total shown on the quotation document
+export const getQuotationTotals = (quotation) => {
+  const totals = calculateQuotationTotals({
+    items: (quotation.items || []).map(item => ({
+      quantity: item.quantity,
+      price: item.price,
+      discountPercent: item.discountPercent
+    })),
+    discountPercent: quotation.discountPercent,
+    taxRate: quotation.taxRate
+  });
+  return {
+    subtotal: totals.subtotal,
+    discount: totals.discountAmount,
+    tax: totals.taxAmount,
+    total: totals.totalAmount
+  };
+};
+
+// Date until which the quotation is valid (defaults to QUOTATION_VALIDITY_DAYS after creation)
+export const getQuotationValidUntil = (quotation) => {
+  if (quotation.validUntil) return quotation.validUntil;
+  const validUntil = new Date(quotation.createdAt || Date.now());
+  validUntil.setDate(validUntil.getDate() + getValidityDays());
+  return validUntil;
+};
+
+// Render a branded quotation document. Resolves to a PDF Buffer.
+export const generateQuotationPdf = (quotation) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const info = company();
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    // Company header
+    doc.fontSize(22).font('Helvetica-Bold').text(info.name, left, 50);
+    doc.fontSize(9).font('Helvetica')
+      .text([info.address, info.phone, info.email].filter(Boolean).join('  |  '), left, 78);
+    doc.fontSize(18).font('Helvetica-Bold').text('QUOTATION', left, 50, { align: 'right' });
+    doc.fontSize(9).font('Helvetica')
+      .text(`Quotation #: ${quotation._id}`, left, 74, { align: 'right' })
+      .text(`Date: ${formatDate(quotation.createdAt || Date.now())}`, { align: 'right' })
+      .text(`Valid until: ${formatDate(getQuotationValidUntil(quotation))}`, { align: 'right' })
+      .text(`Status: ${quotation.status}`, { align: 'right' })
+      .text(`Revision: ${quotation.currentRevision || 0}`, { align: 'right' });
+    doc.moveTo(left, 135).lineTo(right, 135).stroke();
+
+    // Customer block
+    doc.fontSize(11).font('Helvetica-Bold').text('Quotation for', left, 150);
+    doc.fontSize(10).font('Helvetica');
+    [quotation.name, quotation.company, quotation.address, quotation.email, quotation.phone]
+      .filter(Boolean)
+      .forEach(line => doc.text(line));
+
+    // Line items
+    const columns = { item: left, category: 260, quantity: 360, price: 410, subtotal: 480 };
+    let y = doc.y + 20;
+    doc.fontSize(10).font('Helvetica-Bold');
+    doc.text('Item', columns.item, y);
+    doc.text('Category', columns.category, y);
+    doc.text('Qty', columns.quantity, y, { width: 40, align: 'right' });
+    doc.text('Unit price', columns.price, y, { width: 65, align: 'right' });
+    doc.text('Amount', columns.subtotal, y, { width: right - columns.subtotal, align: 'right' });
+    y += 16;
+    doc.moveTo(left, y).lineTo(right, y).stroke();
+    y += 6;
+
+    doc.font('Helvetica');
+    for (const item of quotation.items || []) {
+      if (y > doc.page.height - 150) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      doc.text(item.product || '', columns.item, y, { width: columns.category - columns.item - 10 });
+      const rowBottom = doc.y;
+      doc.text(item.category || '', columns.category, y, { width: columns.quantity - columns.category - 10 });
+      doc.text(String(item.quantity ?? ''), columns.quantity, y, { width: 40, align: 'right' });
+      const priceLabel = item.discountPercent ? `${formatMoney(item.price)} -${item.discountPercent}%` : formatMoney(item.price);
+      doc.text(priceLabel, columns.price, y, { width: 65, align: 'right' });
+      doc.text(formatMoney(item.subtotal), columns.subtotal, y, { width: right - columns.subtotal, align: 'right' });
+      y = Math.max(rowBottom, doc.y) + 6;
+    }
+
+    doc.moveTo(left, y).lineTo(right, y).stroke();
+    y += 10;
+
+    // Totals
+    const totals = getQuotationTotals(quotation);
+    const totalRows = [
+      ['Subtotal', formatMoney(totals.subtotal)],
+      ...(totals.discount > 0 ? [[`Discount (${quotation.discountPercent}%)`, `-${formatMoney(totals.discount)}`]] : []),
+      [`Tax (${quotation.taxRate || 0}%)`, formatMoney(totals.tax)],
+      ['Total', formatMoney(totals.total)]
+    ];
+    totalRows.forEach(([label, value], index) => {
+      doc.font(index === totalRows.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(label, columns.price - 60, y, { width: 125, align: 'right' });
+      doc.text(value, columns.subtotal, y, { width: right - columns.subtotal, align: 'right' });
+      y += 16;
+    });
+
+    // Notes
+    const notes = [
+      quotation.notes ? ['Customer notes', quotation.notes] : null,
+      quotation.adminNotes ? ['Notes from NS Stores', quotation.adminNotes] : null
+    ].filter(Boolean);
+    y += 10;
+    for (const [title, text] of notes) {
+      doc.font('Helvetica-Bold').text(title, left, y);
+      doc.font('Helvetica').text(text, { width: right - left });
+      y = doc.y + 10;
+    }
+
+    doc.fontSize(8).font('Helvetica')
+      .text(
+        `This quotation is valid until ${formatDate(getQuotationValidUntil(quotation))}. Prices are subject to stock availability.`,
+        left,
+        doc.page.height - doc.page.margins.bottom - 20,
+        { width: right - left, align: 'center' }
+      );
+
+    doc.end();
+  });
+};
@@ -0,0 +1,65 @@
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Price quotation items and work out the totals.
+// Line discounts apply to each item, the overall discount to the item subtotal,
+// and tax to the discounted subtotal.
+export const calculateQuotationTotals = ({ items = [], discountPercent = 0, taxRate = 0 }) => {
+  const pricedItems = items.map(item => {
+    const gross = (Number(item.quantity) || 0) * (Number(item.price) || 0);
+    const lineDiscount = gross * (Number(item.discountPercent) || 0) / 100;
+    return { ...item, subtotal: round(gross - lineDiscount) };
+  });
+
+  const subtotal = round(pricedItems.reduce((sum, item) => sum + item.subtotal, 0));
+  const discountAmount = round(subtotal * (Number(discountPercent) || 0) / 100);
+  const taxAmount = round((subtotal - discountAmount) * (Number(taxRate) || 0) / 100);
+
+  return {
+    items: pricedItems,
+    subtotal,
+    discountAmount,
+    taxAmount,
+    totalAmount: round(subtotal - discountAmount + taxAmount)
+  };
+};
+
+// Describe how the pricing changed between two revisions of a quotation
+export const diffQuotationRevisions = (previous, next) => {
+  const changes = [];
+  const keyOf = item => String(item.productId || item.product);
+  const previousItems = new Map((previous.items || []).map(item => [keyOf(item), item]));
+  const nextItems = new Map((next.items || []).map(item => [keyOf(item), item]));
+
+  for (const [key, item] of nextItems) {
+    const before = previousItems.get(key);
+    if (!before) {
+      changes.push({ field: 'item', productId: item.productId, product: item.product, from: null, to: item.quantity });
+      continue;
+    }
+    for (const field of ['quantity', 'price', 'discountPercent']) {
+      if ((Number(before[field]) || 0) !== (Number(item[field]) || 0)) {
+        changes.push({ field, productId: item.productId, product: item.product, from: before[field] ?? 0, to: item[field] ?? 0 });
+      }
+    }
+  }
+
+  for (const [key, item] of previousItems) {
+    if (!nextItems.has(key)) {
+      changes.push({ field: 'item', productId: item.productId, product: item.product, from: item.quantity, to: null });
+    }
+  }
+
+  for (const field of ['discountPercent', 'taxRate']) {
+    if ((Number(previous[field]) || 0) !== (Number(next[field]) || 0)) {
+      changes.push({ field, from: previous[field] ?? 0, to: next[field] ?? 0 });
+    }
+  }
+
+  const previousValidUntil = previous.validUntil ? new Date(previous.validUntil).getTime() : null;
+  const nextValidUntil = next.validUntil ? new Date(next.validUntil).getTime() : null;
+  if (previousValidUntil !== nextValidUntil) {
+    changes.push({ field: 'validUntil', from: previous.validUntil || null, to: next.validUntil || null });
+  }
+
+  return changes;
+};
@@ -0,0 +1,155 @@
+import Product from '../models/Product.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import StockMovement from '../models/StockMovement.js';
+import SupplierProduct from '../models/SupplierProduct.js';
+
+// Stock movements that represent goods leaving the store
+const CONSUMPTION_REASONS = ['order', 'reservation_fulfilled', 'manual_adjustment'];
+
+// Read on use because this module is imported before dotenv loads .env
+const getDefaults = () => ({
+  // Target level = minStock * targetMultiplier for products without maxStock
+  targetMultiplier: Number(process.env.REORDER_TARGET_MULTIPLIER || 2),
+  // Days of history used to work out the consumption rate
+  consumptionDays: Number(process.env.REORDER_CONSUMPTION_DAYS || 30),
+  // Days of consumption to cover while the order is on its way
+  leadTimeDays: Number(process.env.REORDER_LEAD_TIME_DAYS || 7)
+});
+
+// Average units consumed per day for each product over the last `days` days
+const getConsumptionRates = async (productIds, days) => {
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const results = await StockMovement.aggregate([
+    {
+      $match: {
+        product: { $in: productIds },
+        reason: { $in: CONSUMPTION_REASONS },
+        quantity: { $lt: 0 },
+        createdAt: { $gte: since }
+      }
+    },
+    { $group: { _id: '$product', consumed: { $sum: { $abs: '$quantity' } } } }
+  ]);
+
+  return new Map(results.map(result => [result._id.toString(), result.consumed / days]));
+};
+
+// Quantity still expected from open purchase orders, and the last unit cost paid, per product
+const getPurchasingInfo = async (productIds) => {
+  const [onOrder, lastCosts] = await Promise.all([
+    PurchaseOrder.aggregate([
+      { $match: { status: { $in: PurchaseOrder.OPEN_STATUSES } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.product': { $in: productIds } } },
+      {
+        $group: {
+          _id: '$lines.product',
+          onOrder: { $sum: { $subtract: ['$lines.quantityOrdered', '$lines.quantityReceived'] } }
+        }
+      }
+    ]),
+    PurchaseOrder.aggregate([
+      { $match: { status: { $ne: 'cancelled' } } },
+      { $sort: { createdAt: -1 } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.product': { $in: productIds } } },
+      { $group: { _id: '$lines.product', lastUnitCost: { $first: '$lines.unitCost' } } }
+    ])
+  ]);
+
+  return {
+    onOrder: new Map(onOrder.map(result => [result._id.toString(), result.onOrder])),
+    lastUnitCosts: new Map(lastCosts.map(result => [result._id.toString(), result.lastUnitCost]))
+  };
+};
+
+// Terms (cost price, lead time) of each product's preferred supplier (Product.supplier)
+const getPreferredTerms = async (products) => {
+  const pairs = products
+    .filter(product => product.supplier)
+    .map(product => ({ product: product._id, supplier: product.supplier._id }));
+  if (pairs.length === 0) return new Map();
+
+  const links = await SupplierProduct.find({ $or: pairs })
+    .select('product costPrice leadTimeDays');
+  return new Map(links.map(link => [link.product.toString(), link]));
+};
+
+// Build reorder suggestions for low-stock products, grouped by their preferred supplier.
+// Without an explicit leadTimeDays option, each supplier's own lead time is used when known.
+// options: { targetMultiplier, consumptionDays, leadTimeDays, supplierIds }
+export const buildReorderSuggestions = async (options = {}) => {
+  const defaults = getDefaults();
+  const targetMultiplier = Number(options.targetMultiplier) > 0 ? Number(options.targetMultiplier) : defaults.targetMultiplier;
+  const consumptionDays = Number(options.consumptionDays) > 0 ? Number(options.consumptionDays) : defaults.consumptionDays;
+  const leadTimeOverride = Number(options.leadTimeDays) >= 0 && options.leadTimeDays !== undefined;
+  const leadTimeDays = leadTimeOverride ? Number(options.leadTimeDays) : defaults.leadTimeDays;
+
+  const filter = {
+    $expr: { $lte: ['$stock', '$minStock'] },
+    isActive: true
+  };
+  if (options.supplierIds && options.supplierIds.length > 0) {
+    filter.supplier = { $in: options.supplierIds };
+  }
+
+  const lowStockProducts = await Product.find(filter)
+    .select('name sku category stock minStock maxStock supplier')
+    .populate('supplier', 'name company email isActive');
+
+  const productIds = lowStockProducts.map(product => product._id);
+  const [consumptionRates, purchasing, preferredTerms] = await Promise.all([
+    getConsumptionRates(productIds, consumptionDays),
+    getPurchasingInfo(productIds),
+    getPreferredTerms(lowStockProducts)
+  ]);
+
+  const groups = new Map();
+  for (const product of lowStockProducts) {
+    const id = product._id.toString();
+    const dailyConsumption = consumptionRates.get(id) || 0;
+    const onOrder = purchasing.onOrder.get(id) || 0;
+    const terms = preferredTerms.get(id);
+    const productLeadTime = !leadTimeOverride && terms && terms.leadTimeDays !== undefined
+      ? terms.leadTimeDays
+      : leadTimeDays;
+    const targetLevel = product.maxStock || product.minStock * targetMultiplier;
+    const suggestedQuantity = Math.max(
+      0,
+      Math.ceil(targetLevel - product.stock + dailyConsumption * productLeadTime - onOrder)
+    );
+
+    if (suggestedQuantity === 0) continue;
+
+    const supplierKey = product.supplier ? product.supplier._id.toString() : 'unassigned';
+    if (!groups.has(supplierKey)) {
+      groups.set(supplierKey, { supplier: product.supplier || null, products: [], estimatedCost: 0 });
+    }
+
+    // Fall back to the supplier's listed cost price when nothing was bought yet
+    const lastUnitCost = purchasing.lastUnitCosts.get(id) ?? terms?.costPrice;
+    const group = groups.get(supplierKey);
+    group.products.push({
+      product: product._id,
+      name: product.name,
+      sku: product.sku,
+      category: product.category,
+      stock: product.stock,
+      minStock: product.minStock,
+      targetLevel,
+      dailyConsumption: Math.round(dailyConsumption * 100) / 100,
+      onOrder,
+      leadTimeDays: productLeadTime,
+      suggestedQuantity,
+      lastUnitCost: lastUnitCost ?? null
+    });
+    group.estimatedCost += (lastUnitCost || 0) * suggestedQuantity;
+  }
+
+  return {
+    settings: { targetMultiplier, consumptionDays, leadTimeDays },
+    suppliers: [...groups.values()]
+  };
+};
@@ -0,0 +1,173 @@
+import os from 'os';
+import JobRun from '../models/JobRun.js';
+import JobLock from '../models/JobLock.js';
+import { parseCron, matchesCron, getNextRun } from './cron.js';
+
+// In-process scheduler for recurring maintenance jobs.
+// Every instance ticks once a minute; a job runs only where its lock in
+// MongoDB is acquired, and each run is stored as a JobRun.
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+const jobs = new Map();
+let tickTimer = null;
+
+// Register a job. The schedule can be overridden with JOB_SCHEDULE_<NAME>
+// (name upper-cased, dashes as underscores) or switched off with the value "off".
+// job: { name, schedule, description, handler, lockTtlMs }
+export const registerJob = ({ name, schedule, description, handler, lockTtlMs = DEFAULT_LOCK_TTL_MS }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+
+  const override = process.env[`JOB_SCHEDULE_${name.toUpperCase().replace(/-/g, '_')}`];
+  const expression = override || schedule;
+  const enabled = expression !== 'off';
+
+  jobs.set(name, {
+    name,
+    description,
+    handler,
+    lockTtlMs,
+    enabled,
+    schedule: enabled ? expression : null,
+    cron: enabled ? parseCron(expression) : null
+  });
+};
+
+export const getJob = (name) => jobs.get(name);
+
+// Take the job's lock. Scheduled runs also claim the tick so no other instance repeats it.
+const acquireLock = async (job, scheduledFor) => {
+  const now = new Date();
+  const filter = {
+    _id: job.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+  const update = {
+    lockedBy: INSTANCE_ID,
+    lockedUntil: new Date(now.getTime() + job.lockTtlMs),
+    lastRunAt: now
+  };
+  if (scheduledFor) {
+    filter.lastScheduledFor = { $ne: scheduledFor };
+    update.lastScheduledFor = scheduledFor;
+  }
+
+  try {
+    return await JobLock.findOneAndUpdate(filter, update, { new: true, upsert: true });
+  } catch (error) {
+    // The lock document exists but is held (or the tick was taken): upsert hits the unique _id
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const releaseLock = (job) => {
+  return JobLock.updateOne({ _id: job.name, lockedBy: INSTANCE_ID }, { lockedUntil: null });
+};
+
+// Run a job now. Resolves to the JobRun, or null when another run holds the lock.
+// options: { trigger: 'schedule' | 'manual', scheduledFor, triggeredBy }
+export const runJob = async (name, { trigger = 'manual', scheduledFor, triggeredBy } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+
+  const lock = await acquireLock(job, trigger === 'schedule' ? scheduledFor : null);
+  if (!lock) return null;
+
+  const run = await JobRun.create({
+    job: name,
+    trigger,
+    scheduledFor,
+    instance: INSTANCE_ID,
+    triggeredBy
+  });
+
+  try {
+    const result = await job.handler();
+    run.status = 'succeeded';
+    run.result = result;
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+    await releaseLock(job);
+  }
+
+  return run;
+};
+
+// Jobs with their schedule, next run and latest run
+export const listJobs = async () => {
+  const names = [...jobs.keys()];
+  const [locks, lastRuns] = await Promise.all([
+    JobLock.find({ _id: { $in: names } }),
+    JobRun.aggregate([
+      { $match: { job: { $in: names } } },
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: '$job', run: { $first: '$$ROOT' } } }
+    ])
+  ]);
+
+  const locksByJob = new Map(locks.map(lock => [lock._id, lock]));
+  const lastRunByJob = new Map(lastRuns.map(entry => [entry._id, entry.run]));
+  const now = new Date();
+
+  return [...jobs.values()].map(job => {
+    const lock = locksByJob.get(job.name);
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      enabled: job.enabled,
+      nextRunAt: job.enabled ? getNextRun(job.cron, now) : null,
+      running: !!(lock && lock.lockedUntil && lock.lockedUntil > now),
+      lockedBy: lock && lock.lockedUntil && lock.lockedUntil > now ? lock.lockedBy : null,
+      lastRun: lastRunByJob.get(job.name) || null
+    };
+  });
+};
+
+const tick = () => {
+  const scheduledFor = new Date();
+  scheduledFor.setSeconds(0, 0);
+
+  for (const job of jobs.values()) {
+    if (!job.enabled || !matchesCron(job.cron, scheduledFor)) continue;
+
+    runJob(job.name, { trigger: 'schedule', scheduledFor }).catch(error => {
+      console.error(`Error running scheduled job ${job.name}:`, error);
+    });
+  }
+};
+
+// Start ticking at the top of every minute (SCHEDULER_ENABLED=false turns it off for this instance)
+export const startScheduler = () => {
+  if (tickTimer || process.env.SCHEDULER_ENABLED === 'false') return;
+
+  const scheduleNextTick = () => {
+    const now = new Date();
+    const delay = 60 * 1000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+    tickTimer = setTimeout(() => {
+      tick();
+      scheduleNextTick();
+    }, delay);
+    tickTimer.unref();
+  };
+
+  scheduleNextTick();
+  console.log(`Scheduler started with ${jobs.size} jobs`);
+};
+
+export const stopScheduler = () => {
+  clearTimeout(tickTimer);
+  tickTimer = null;
+};
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import { recordStockMovement } from './stockLedger.js';
+import { queueStockLevelCheck } from './lowStockAlert.js';
+import { getHeldQuantities } from './stockHolds.js';
+
+// Atomically change a product's stock by `delta` and record it in the ledger.
+// A decrement only succeeds when enough stock is left, so concurrent requests
+// can never drive stock negative. Resolves to the updated product, or null when
+// the product does not exist or has too little stock.
+// context: { reason, actor, reference, note } - see recordStockMovement
+// options.reserve: stock that must be left over after a decrement (e.g. held by reservations)
+export const adjustStock = async (productId, delta, context = {}, { reserve = 0 } = {}) => {
+  const quantity = Number(delta);
+  const filter = { _id: productId };
+  if (quantity < 0) {
+    filter.stock = { $gte: -quantity + reserve };
+  }
+
+  const updated = await Product.findOneAndUpdate(
+    filter,
+    { $inc: { stock: quantity } },
+    { new: true }
+  );
+
+  if (updated) {
+    await recordStockMovement({
+      product: updated._id,
+      quantity,
+      stockBefore: updated.stock - quantity,
+      stockAfter: updated.stock
+    }, context);
+    queueStockLevelCheck(updated);
+  }
+
+  return updated;
+};
+
+// Check every line against current stock minus active reservation holds, without
+// changing anything. Pass excludeReservationId to leave out the hold of the
+// reservation being fulfilled. Returns a list of per-line errors (empty when all
+// lines can be fulfilled) and the held quantities, keyed by product ID.
+export const validateStockLines = async (lines, { excludeReservationId } = {}) => {
+  const errors = [];
+  const productIds = lines
+    .map(line => line.productId)
+    .filter(id => id && mongoose.Types.ObjectId.isValid(id));
+  const heldQuantities = await getHeldQuantities(productIds, excludeReservationId);
+
+  for (const [index, line] of lines.entries()) {
+    const quantity = Number(line.quantity);
+
+    if (!line.productId || !mongoose.Types.ObjectId.isValid(line.productId)) {
+      errors.push({ line: index, productId: line.productId, product: line.product, message: 'Invalid product ID' });
+      continue;
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.push({ line: index, productId: line.productId, product: line.product, message: 'Quantity must be a positive whole number' });
+      continue;
+    }
+
+    const product = await Product.findById(line.productId).select('name stock isActive');
+    if (!product) {
+      errors.push({ line: index, productId: line.productId, product: line.product, message: 'Product not found' });
+      continue;
+    }
+
+    const available = product.stock - (heldQuantities.get(product._id.toString()) || 0);
+    if (available < quantity) {
+      errors.push({
+        line: index,
+        productId: line.productId,
+        product: product.name,
+        requested: quantity,
+        available: Math.max(0, available),
+        message: 'Insufficient stock'
+      });
+    }
+  }
+
+  return { errors, heldQuantities };
+};
+
+// Put stock back for lines that were previously deducted
+export const restoreStock = async (lines, context = {}) => {
+  for (const line of lines) {
+    await adjustStock(line.productId, Number(line.quantity), context);
+  }
+};
+
+// Atomically decrement stock for every line, leaving stock held by reservations
+// in place. If any line fails, the lines already deducted are rolled back.
+// options.excludeReservationId: reservation whose held stock is being used
+export const deductStock = async (lines, context = {}, { excludeReservationId } = {}) => {
+  const { errors, heldQuantities } = await validateStockLines(lines, { excludeReservationId });
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  const deducted = [];
+  for (const [index, line] of lines.entries()) {
+    const quantity = Number(line.quantity);
+    const reserve = heldQuantities.get(String(line.productId)) || 0;
+    const updated = await adjustStock(line.productId, -quantity, context, { reserve });
+
+    if (!updated) {
+      await restoreStock(deducted, { ...context, reason: 'rollback' });
+      const current = await Product.findById(line.productId).select('name stock');
+      return {
+        success: false,
+        errors: [{
+          line: index,
+          productId: line.productId,
+          product: current ? current.name : line.product,
+          requested: quantity,
+          available: current ? Math.max(0, current.stock - reserve) : 0,
+          message: 'Insufficient stock'
+        }]
+      };
+    }
+
+    deducted.push(line);
+  }
+
+  return { success: true, errors: [] };
+};
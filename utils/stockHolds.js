@@ -0,0 +1,169 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Reservation from '../models/reservation.js';
+import { recordHoldMovements } from './stockLedger.js';
+
+// How long after the pickup/delivery date a reservation keeps holding stock.
+// Read on use because this module is imported before dotenv loads .env.
+const getHoldGraceHours = () => Number(process.env.RESERVATION_HOLD_GRACE_HOURS || 24);
+
+export const calculateHoldExpiry = (pickupDate) => {
+  return new Date(new Date(pickupDate).getTime() + getHoldGraceHours() * 60 * 60 * 1000);
+};
+
+// Sum of quantities held by active reservations, keyed by product ID.
+// Pass excludeReservationId to ignore a reservation's own hold (e.g. while editing it).
+export const getHeldQuantities = async (productIds, excludeReservationId) => {
+  const match = Reservation.activeHoldFilter();
+  if (excludeReservationId) {
+    match._id = { $ne: new mongoose.Types.ObjectId(String(excludeReservationId)) };
+  }
+
+  const pipeline = [
+    { $match: match },
+    { $unwind: '$items' }
+  ];
+
+  if (productIds) {
+    pipeline.push({
+      $match: { 'items.product': { $in: productIds.map(id => new mongoose.Types.ObjectId(String(id))) } }
+    });
+  }
+
+  pipeline.push({ $group: { _id: '$items.product', held: { $sum: '$items.quantity' } } });
+
+  const results = await Reservation.aggregate(pipeline);
+  return new Map(results.map(result => [result._id.toString(), result.held]));
+};
+
+// Add `held` and `available` to product documents for API responses
+export const withAvailability = (product, heldQuantities) => {
+  const held = heldQuantities.get(product._id.toString()) || 0;
+  return {
+    ...product.toJSON(),
+    held,
+    available: Math.max(0, product.stock - held)
+  };
+};
+
+// Validate requested reservation items against stock minus existing holds.
+// Returns { items, errors } where items are ready to be stored on the reservation.
+export const checkReservationItems = async (requestedItems, excludeReservationId) => {
+  const errors = [];
+  const items = [];
+
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    return { items, errors: [{ message: 'Please add at least one product' }] };
+  }
+
+  // Merge duplicate lines for the same product so the hold is checked once
+  const requested = new Map();
+  for (const [index, item] of requestedItems.entries()) {
+    const productId = item && (item.product || item.productId);
+    const quantity = Number(item && item.quantity);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      errors.push({ line: index, productId, message: 'Invalid product ID' });
+      continue;
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.push({ line: index, productId, message: 'Quantity must be a positive whole number' });
+      continue;
+    }
+
+    const key = String(productId);
+    const existing = requested.get(key);
+    requested.set(key, { line: existing ? existing.line : index, quantity: (existing ? existing.quantity : 0) + quantity });
+  }
+
+  const productIds = [...requested.keys()];
+  const [products, heldQuantities] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).select('name stock isActive'),
+    getHeldQuantities(productIds, excludeReservationId)
+  ]);
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  for (const [productId, { line, quantity }] of requested) {
+    const product = productsById.get(productId);
+    if (!product || !product.isActive) {
+      errors.push({ line, productId, message: 'Product not found' });
+      continue;
+    }
+
+    const available = Math.max(0, product.stock - (heldQuantities.get(productId) || 0));
+    if (available < quantity) {
+      errors.push({
+        line,
+        productId,
+        product: product.name,
+        requested: quantity,
+        available,
+        message: 'Insufficient stock available'
+      });
+      continue;
+    }
+
+    items.push({ product: product._id, name: product.name, quantity });
+  }
+
+  return { items, errors };
+};
+
+// Re-check items that were just stored on an active reservation: with every hold
+// counted (this one included), stock must still cover what is held. Two
+// reservations saved at the same time both see each other here, so at worst
+// both are turned away rather than together holding more than is in stock.
+// Returns per-item errors (empty when the holds fit).
+export const findOverheldItems = async (items) => {
+  const productIds = items.map(item => item.product);
+  const [products, heldQuantities] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).select('name stock'),
+    getHeldQuantities(productIds)
+  ]);
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const errors = [];
+  for (const item of items) {
+    const product = productsById.get(item.product.toString());
+    const held = heldQuantities.get(item.product.toString()) || 0;
+    if (!product || held > product.stock) {
+      errors.push({
+        productId: item.product,
+        product: item.name,
+        requested: item.quantity,
+        available: product ? Math.max(0, product.stock - (held - item.quantity)) : 0,
+        message: 'Insufficient stock available'
+      });
+    }
+  }
+  return errors;
+};
+
+// Mark a hold that ran past holdExpiresAt as released (at its expiry time) and
+// record reservation_hold_expired entries for it. The conditional update lets
+// only one caller record a given lapse. Resolves to true when this call did.
+export const expireLapsedHold = async (reservationId, context = {}) => {
+  const lapsed = await Reservation.findOneAndUpdate(
+    { ...Reservation.lapsedHoldFilter(), _id: reservationId },
+    [{ $set: { holdReleasedAt: '$holdExpiresAt' } }]
+  );
+  if (!lapsed) return false;
+
+  await recordHoldMovements(lapsed.items, {
+    ...context,
+    reason: 'reservation_hold_expired',
+    reference: { kind: 'Reservation', id: lapsed._id }
+  });
+  return true;
+};
+
+// Record every hold that lapsed since the last run
+export const expireLapsedHolds = async () => {
+  const lapsed = await Reservation.find(Reservation.lapsedHoldFilter()).select('_id');
+
+  let expired = 0;
+  for (const reservation of lapsed) {
+    if (await expireLapsedHold(reservation._id)) expired++;
+  }
+  return { expired };
+};
@@ -0,0 +1,36 @@
+import Product from '../models/Product.js';
+import StockMovement, { HOLD_MOVEMENT_REASONS } from '../models/StockMovement.js';
+
+// Write a stock movement to the ledger.
+// context: { reason, actor, reference: { kind, id }, note }
+export const recordStockMovement = async ({ product, quantity, stockBefore, stockAfter }, context = {}) => {
+  return StockMovement.create({
+    product,
+    reason: context.reason,
+    kind: HOLD_MOVEMENT_REASONS.includes(context.reason) ? 'hold' : 'stock',
+    quantity,
+    stockBefore,
+    stockAfter,
+    actor: context.actor,
+    reference: context.reference,
+    note: context.note
+  });
+};
+
+// Record stock being set aside (positive quantity) or given back or lapsed
+// (negative quantity) for reservation items. On-hand stock is unchanged, so before and
+// after are the same.
+export const recordHoldMovements = async (items, context = {}) => {
+  for (const item of items) {
+    const product = await Product.findById(item.product).select('stock');
+    if (!product) continue;
+
+    const quantity = context.reason === 'reservation_hold' ? item.quantity : -item.quantity;
+    await recordStockMovement({
+      product: product._id,
+      quantity,
+      stockBefore: product.stock,
+      stockAfter: product.stock
+    }, context);
+  }
+};
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+import Supplier from '../models/Supplier.js';
+
+// Work out the supplier a user or invitation with `role` is linked to.
+// Only 'supplier' accounts are linked; every other role resolves to { supplier: null }.
+// Resolves to { supplier } or { error, status } when the supplier is missing or unknown.
+export const resolveSupplierLink = async (role, supplierId) => {
+  if (role !== 'supplier') return { supplier: null };
+
+  if (!supplierId || !mongoose.Types.ObjectId.isValid(supplierId)) {
+    return { error: 'Supplier accounts must be linked to a valid supplier', status: 400 };
+  }
+
+  const supplier = await Supplier.findById(supplierId).select('_id');
+  if (!supplier) {
+    return { error: 'Supplier not found', status: 404 };
+  }
+
+  return { supplier: supplier._id };
+};
@@ -0,0 +1,60 @@
+import Supplier from '../models/Supplier.js';
+import { sendNotification, getAdminRecipients } from './notificationService.js';
+import { agreementExpiringTemplate, agreementLapsedTemplate } from './notificationTemplates.js';
+
+export const getAgreementWarningDays = () => Number(process.env.SUPPLIER_AGREEMENT_WARNING_DAYS || 30);
+
+// Warn admins once per agreement term about agreements ending within `days` days
+export const warnExpiringAgreements = async ({ days = getAgreementWarningDays() } = {}) => {
+  const expiring = await Supplier.findExpiringAgreements(days)
+    .where({ agreementExpiryWarningSentAt: null })
+    .select('_id');
+
+  // Claim each supplier so overlapping runs don't warn twice
+  const warned = [];
+  for (const { _id } of expiring) {
+    const supplier = await Supplier.findOneAndUpdate(
+      { _id, agreementExpiryWarningSentAt: null },
+      { agreementExpiryWarningSentAt: new Date() },
+      { new: true }
+    );
+    if (supplier) warned.push(supplier);
+  }
+
+  if (warned.length > 0) {
+    await sendNotification({
+      type: 'supplier_agreement_expiring',
+      to: await getAdminRecipients('SUPPLIER_AGREEMENT_ALERT_EMAILS'),
+      ...agreementExpiringTemplate({ suppliers: warned, days }),
+      metadata: { supplierIds: warned.map(supplier => supplier._id), days }
+    });
+  }
+
+  return { warned: warned.length };
+};
+
+// Deactivate active suppliers whose agreement has ended and tell the admins
+export const deactivateLapsedSuppliers = async () => {
+  const lapsed = await Supplier.findExpiredAgreements().select('_id');
+
+  const deactivated = [];
+  for (const { _id } of lapsed) {
+    const supplier = await Supplier.findOneAndUpdate(
+      { _id, isActive: true, agreementEndDate: { $lt: new Date() } },
+      { isActive: false, deactivatedAt: new Date(), deactivatedReason: 'agreement_expired' },
+      { new: true }
+    );
+    if (supplier) deactivated.push(supplier);
+  }
+
+  if (deactivated.length > 0) {
+    await sendNotification({
+      type: 'supplier_agreement_lapsed',
+      to: await getAdminRecipients('SUPPLIER_AGREEMENT_ALERT_EMAILS'),
+      ...agreementLapsedTemplate({ suppliers: deactivated }),
+      metadata: { supplierIds: deactivated.map(supplier => supplier._id) }
+    });
+  }
+
+  return { deactivated: deactivated.length };
+};
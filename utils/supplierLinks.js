@@ -0,0 +1,231 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Supplier from '../models/Supplier.js';
+import SupplierProduct from '../models/SupplierProduct.js';
+import Quotation from '../models/Quotation.js';
+import Order from '../models/Order.js';
+import Reservation from '../models/reservation.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+
+// SupplierProduct links are the source of truth for who supplies what.
+// Product.supplier (the preferred supplier) and Supplier.productsSupplied are
+// derived from them and refreshed here after every change to the links.
+
+export const LINK_FIELDS = ['supplierSku', 'costPrice', 'leadTimeDays', 'isPreferred'];
+
+const toId = (value) => (value && value._id ? value._id : value);
+const sameId = (a, b) => String(toId(a) || '') === String(toId(b) || '');
+const uniqueIds = (ids) => [...new Set(ids.filter(Boolean).map(id => String(toId(id))))];
+
+// Narrow a link filter to suppliers that are not in the trash. Links of trashed
+// suppliers are kept so restoring the supplier brings its catalogue back.
+const liveLinkFilter = async (filter) => {
+  const trashedSupplierIds = await Supplier.distinct('_id', { deletedAt: { $ne: null } });
+  return trashedSupplierIds.length > 0
+    ? { $and: [filter, { supplier: { $nin: trashedSupplierIds } }] }
+    : filter;
+};
+
+// Product.supplier = preferred live link; a product with links always has one preferred.
+// While the preferred supplier is in the trash the next live link stands in without
+// taking over the preferred flag, so restoring the supplier makes it preferred again.
+const refreshProductCache = async (productId) => {
+  const preferred = await SupplierProduct.findOne(await liveLinkFilter({ product: productId }))
+    .sort({ isPreferred: -1, createdAt: 1 });
+
+  if (preferred && !preferred.isPreferred && !(await SupplierProduct.exists({ product: productId, isPreferred: true }))) {
+    preferred.isPreferred = true;
+    await preferred.save();
+  }
+
+  await Product.updateOne(
+    { _id: productId },
+    preferred ? { supplier: preferred.supplier } : { $unset: { supplier: 1 } }
+  ).setOptions({ withDeleted: true });
+};
+
+// Supplier.productsSupplied = linked products that are not in the trash
+const refreshSupplierCache = async (supplierId) => {
+  const productIds = await SupplierProduct.distinct('product', { supplier: supplierId });
+  const liveProductIds = await Product.distinct('_id', { _id: { $in: productIds } });
+
+  await Supplier.updateOne({ _id: supplierId }, { productsSupplied: liveProductIds })
+    .setOptions({ withDeleted: true });
+};
+
+export const refreshLinkCaches = async ({ productIds = [], supplierIds = [] } = {}) => {
+  for (const productId of uniqueIds(productIds)) {
+    await refreshProductCache(productId);
+  }
+  for (const supplierId of uniqueIds(supplierIds)) {
+    await refreshSupplierCache(supplierId);
+  }
+};
+
+// Refresh the caches of every product linked to a supplier (e.g. after it is trashed or restored)
+export const refreshSupplierLinks = async (supplierId) => {
+  const productIds = await SupplierProduct.distinct('product', { supplier: supplierId });
+  await refreshLinkCaches({ productIds, supplierIds: [supplierId] });
+};
+
+// Refresh the caches of every supplier linked to a product (e.g. after it is trashed or restored)
+export const refreshProductLinks = async (productId) => {
+  const supplierIds = await SupplierProduct.distinct('supplier', { product: productId });
+  await refreshLinkCaches({ productIds: [productId], supplierIds });
+};
+
+// Create or update the link between a supplier and a product.
+// attrs: { supplierSku, costPrice, leadTimeDays, isPreferred }
+export const linkSupplierProduct = async (supplierId, productId, attrs = {}, actor) => {
+  const update = { updatedBy: actor };
+  for (const field of LINK_FIELDS) {
+    if (attrs[field] !== undefined) update[field] = attrs[field];
+  }
+
+  if (update.isPreferred === true) {
+    await SupplierProduct.updateMany(
+      { product: productId, supplier: { $ne: supplierId } },
+      { isPreferred: false }
+    );
+  }
+
+  const link = await SupplierProduct.findOneAndUpdate(
+    { supplier: supplierId, product: productId },
+    update,
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  await refreshLinkCaches({ productIds: [productId], supplierIds: [supplierId] });
+  return SupplierProduct.findById(link._id);
+};
+
+// Remove a link; another supplier of the product becomes preferred if needed
+export const unlinkSupplierProduct = async (supplierId, productId) => {
+  const result = await SupplierProduct.deleteOne({ supplier: supplierId, product: productId });
+  await refreshLinkCaches({ productIds: [productId], supplierIds: [supplierId] });
+  return result.deletedCount > 0;
+};
+
+// A product's supplier field was set from the product side: make that supplier preferred.
+// Clearing it removes the previous supplier's link.
+export const syncProductSupplier = async (productId, previousSupplierId, nextSupplierId, actor) => {
+  if (nextSupplierId && !sameId(previousSupplierId, nextSupplierId)) {
+    await linkSupplierProduct(toId(nextSupplierId), productId, { isPreferred: true }, actor);
+  } else if (!nextSupplierId && previousSupplierId) {
+    await unlinkSupplierProduct(toId(previousSupplierId), productId);
+  }
+};
+
+// A supplier's product list was set from the supplier side: link added products, unlink removed ones
+export const syncSupplierProducts = async (supplierId, previousProductIds = [], nextProductIds = [], actor) => {
+  const previous = uniqueIds(previousProductIds);
+  const requested = uniqueIds(nextProductIds).filter(id => mongoose.Types.ObjectId.isValid(id));
+  const next = (await Product.distinct('_id', { _id: { $in: requested } })).map(String);
+
+  for (const productId of next.filter(id => !previous.includes(id))) {
+    await linkSupplierProduct(supplierId, productId, {}, actor);
+  }
+  for (const productId of previous.filter(id => !next.includes(id))) {
+    await unlinkSupplierProduct(supplierId, productId);
+  }
+
+  await refreshLinkCaches({ supplierIds: [supplierId] });
+};
+
+// Move every product link of one supplier to another, keeping prices and lead times.
+// Links the target already has keep their own terms.
+export const reassignSupplierProducts = async (fromSupplierId, toSupplierId, actor) => {
+  const links = await SupplierProduct.find({ supplier: fromSupplierId });
+
+  for (const link of links) {
+    const existing = await SupplierProduct.findOne({ supplier: toSupplierId, product: link.product });
+    const attrs = existing
+      ? { isPreferred: link.isPreferred || existing.isPreferred }
+      : {
+        supplierSku: link.supplierSku,
+        costPrice: link.costPrice,
+        leadTimeDays: link.leadTimeDays,
+        isPreferred: link.isPreferred
+      };
+
+    await SupplierProduct.deleteOne({ _id: link._id });
+    await linkSupplierProduct(toSupplierId, link.product, attrs, actor);
+  }
+
+  await refreshLinkCaches({ supplierIds: [fromSupplierId, toSupplierId] });
+  return links.length;
+};
+
+// Create links for references written before links existed. Safe to run repeatedly.
+export const ensureSupplierLinks = async () => {
+  const [products, suppliers] = await Promise.all([
+    Product.find({ supplier: { $ne: null } }).select('supplier').setOptions({ withDeleted: true }),
+    Supplier.find({ 'productsSupplied.0': { $exists: true } }).select('productsSupplied').setOptions({ withDeleted: true })
+  ]);
+
+  const pairs = [
+    ...products.map(product => ({ supplier: product.supplier, product: product._id, isPreferred: true })),
+    ...suppliers.flatMap(supplier => supplier.productsSupplied.map(productId => ({
+      supplier: supplier._id,
+      product: productId,
+      isPreferred: false
+    })))
+  ];
+  if (pairs.length === 0) return 0;
+
+  const result = await SupplierProduct.bulkWrite(pairs.map(pair => ({
+    updateOne: {
+      filter: { supplier: pair.supplier, product: pair.product },
+      update: { $setOnInsert: { isPreferred: pair.isPreferred } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  if (result.upsertedCount > 0) {
+    await refreshLinkCaches({
+      productIds: pairs.map(pair => pair.product),
+      supplierIds: pairs.map(pair => pair.supplier)
+    });
+  }
+
+  return result.upsertedCount;
+};
+
+// Active records that depend on a supplier: products it is the only supplier
+// of, and its open purchase orders
+export const findSupplierDependents = async (supplierId) => {
+  const productIds = await SupplierProduct.distinct('product', { supplier: supplierId });
+  const sharedProductIds = (await SupplierProduct.distinct('product', await liveLinkFilter({
+    product: { $in: productIds },
+    supplier: { $ne: supplierId }
+  }))).map(String);
+  const soleProductIds = productIds.filter(id => !sharedProductIds.includes(String(id)));
+
+  const [products, purchaseOrders] = await Promise.all([
+    Product.find({ _id: { $in: soleProductIds } }).select('name sku'),
+    PurchaseOrder.find({ supplier: supplierId, status: { $in: PurchaseOrder.OPEN_STATUSES } })
+      .select('poNumber status')
+  ]);
+
+  return { products, purchaseOrders };
+};
+
+// Active records that depend on a product: open quotations and orders,
+// pending or confirmed reservations and open purchase orders
+export const findProductDependents = async (productId) => {
+  const [quotations, orders, reservations, purchaseOrders] = await Promise.all([
+    Quotation.find({ 'items.productId': String(productId), status: { $in: ['pending', 'processing'] } })
+      .select('name email status'),
+    Order.find({ 'items.productId': productId, status: 'confirmed' }).select('orderNumber status'),
+    Reservation.find({ 'items.product': productId, status: { $in: Reservation.HOLDING_STATUSES } })
+      .select('name email status pickupDate'),
+    PurchaseOrder.find({ 'lines.product': productId, status: { $in: PurchaseOrder.OPEN_STATUSES } })
+      .select('poNumber status')
+  ]);
+
+  return { quotations, orders, reservations, purchaseOrders };
+};
+
+export const hasDependents = (dependents) => {
+  return Object.values(dependents).some(list => list.length > 0);
+};
@@ -0,0 +1,319 @@
+import Product from '../models/Product.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import StockMovement, { HOLD_MOVEMENT_REASONS } from '../models/StockMovement.js';
+import Supplier from '../models/Supplier.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each low-stock incident caused by a late delivery costs this many points, up to the cap
+const INCIDENT_PENALTY = 5;
+const MAX_INCIDENT_PENALTY = 25;
+
+// Sort keys for the ranked list; lead time and incidents rank lowest first
+export const SCORECARD_SORTS = {
+  score: -1,
+  onTimeRate: -1,
+  fillRate: -1,
+  averageLeadTimeDays: 1,
+  lowStockIncidents: 1
+};
+
+const round = (value, places = 2) => (
+  value === null || value === undefined ? null : Number(value.toFixed(places))
+);
+
+const ratio = (part, whole) => (whole > 0 ? round(part / whole, 4) : null);
+
+// A delivery counts as on time when it arrives by the end of the expected day
+const dueAtFor = (purchaseOrder) => {
+  if (!purchaseOrder.expectedDeliveryDate) return null;
+  const dueAt = new Date(purchaseOrder.expectedDeliveryDate);
+  dueAt.setHours(23, 59, 59, 999);
+  return dueAt;
+};
+
+// When each product on the order was fully received, worked out from the goods-received notes
+const getFulfilledDates = (purchaseOrder) => {
+  const outstanding = new Map();
+  for (const line of purchaseOrder.lines) {
+    const key = line.product.toString();
+    outstanding.set(key, (outstanding.get(key) || 0) + line.quantityOrdered);
+  }
+
+  const fulfilled = new Map();
+  const receipts = [...(purchaseOrder.receipts || [])].sort((a, b) => a.receivedAt - b.receivedAt);
+  for (const receipt of receipts) {
+    for (const line of receipt.lines) {
+      const key = line.product.toString();
+      if (!outstanding.has(key) || fulfilled.has(key)) continue;
+      const left = outstanding.get(key) - line.quantity;
+      outstanding.set(key, left);
+      if (left <= 0) fulfilled.set(key, receipt.receivedAt);
+    }
+  }
+
+  return fulfilled;
+};
+
+// Delivery facts for one sent purchase order
+const analysePurchaseOrder = (purchaseOrder, now) => {
+  const dueAt = dueAtFor(purchaseOrder);
+  const closedAt = purchaseOrder.receivedAt || purchaseOrder.cancelledAt || now;
+  const received = purchaseOrder.status === 'received';
+
+  // Late when received after the due date, or still/never delivered once it passed
+  let onTime = null;
+  if (dueAt && received) {
+    onTime = purchaseOrder.receivedAt <= dueAt;
+  } else if (dueAt && dueAt < closedAt) {
+    onTime = false;
+  }
+
+  const quantityOrdered = purchaseOrder.lines.reduce((sum, line) => sum + line.quantityOrdered, 0);
+  const quantityReceived = purchaseOrder.lines.reduce((sum, line) => sum + line.quantityReceived, 0);
+
+  // Fill rate only looks at orders the supplier should have completed by now
+  const due = received || onTime === false;
+
+  // Stock of a product is the supplier's fault from the due date until its full delivery
+  const lateWindows = [];
+  if (onTime === false) {
+    const fulfilled = getFulfilledDates(purchaseOrder);
+    const products = new Set(purchaseOrder.lines.map(line => line.product.toString()));
+    for (const product of products) {
+      const until = fulfilled.get(product) || closedAt;
+      if (until > dueAt) {
+        lateWindows.push({ product, from: dueAt, until, purchaseOrder: purchaseOrder._id, poNumber: purchaseOrder.poNumber });
+      }
+    }
+  }
+
+  return {
+    _id: purchaseOrder._id,
+    poNumber: purchaseOrder.poNumber,
+    status: purchaseOrder.status,
+    sentAt: purchaseOrder.sentAt,
+    expectedDeliveryDate: purchaseOrder.expectedDeliveryDate,
+    receivedAt: purchaseOrder.receivedAt,
+    cancelledAt: purchaseOrder.cancelledAt,
+    onTime,
+    leadTimeDays: received && purchaseOrder.sentAt
+      ? round((purchaseOrder.receivedAt - purchaseOrder.sentAt) / DAY_MS, 1)
+      : null,
+    quantityOrdered,
+    quantityReceived,
+    due,
+    lateWindows
+  };
+};
+
+// Unit cost paid per product over time, in the order the purchase orders were sent
+const buildPriceHistory = (purchaseOrders) => {
+  const history = new Map();
+  const sorted = [...purchaseOrders]
+    .filter(purchaseOrder => purchaseOrder.status !== 'cancelled')
+    .sort((a, b) => a.sentAt - b.sentAt);
+
+  for (const purchaseOrder of sorted) {
+    for (const line of purchaseOrder.lines) {
+      const key = line.product.toString();
+      if (!history.has(key)) {
+        history.set(key, { product: line.product, name: line.name, points: [] });
+      }
+      history.get(key).points.push({
+        date: purchaseOrder.sentAt,
+        unitCost: line.unitCost,
+        poNumber: purchaseOrder.poNumber
+      });
+    }
+  }
+
+  return [...history.values()].map(({ product, name, points }) => {
+    let changes = 0;
+    let increases = 0;
+    for (let i = 1; i < points.length; i++) {
+      if (points[i].unitCost !== points[i - 1].unitCost) changes++;
+      if (points[i].unitCost > points[i - 1].unitCost) increases++;
+    }
+    const first = points[0].unitCost;
+    const last = points[points.length - 1].unitCost;
+
+    return {
+      product,
+      name,
+      firstUnitCost: first,
+      lastUnitCost: last,
+      changePercent: first > 0 ? round(((last - first) / first) * 100) : null,
+      changes,
+      increases,
+      history: points
+    };
+  });
+};
+
+// Stock movements that took a product from above to at-or-below its minimum stock
+// while one of the given late deliveries was outstanding
+const findLowStockIncidents = async (lateWindows) => {
+  if (lateWindows.length === 0) return [];
+
+  const productIds = [...new Set(lateWindows.map(window => window.product))];
+  const since = new Date(Math.min(...lateWindows.map(window => window.from.getTime())));
+
+  const [products, movements] = await Promise.all([
+    Product.find({ _id: { $in: productIds } })
+      .setOptions({ withDeleted: true })
+      .select('name sku minStock'),
+    StockMovement.find({
+      product: { $in: productIds },
+      reason: { $nin: HOLD_MOVEMENT_REASONS },
+      quantity: { $lt: 0 },
+      createdAt: { $gte: since }
+    }).select('product stockBefore stockAfter createdAt').sort({ createdAt: 1 }).lean()
+  ]);
+
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+  const incidents = [];
+
+  for (const movement of movements) {
+    const key = movement.product.toString();
+    const product = productMap.get(key);
+    if (!product) continue;
+    if (!(movement.stockBefore > product.minStock && movement.stockAfter <= product.minStock)) continue;
+
+    const window = lateWindows.find(candidate => (
+      candidate.product === key && movement.createdAt >= candidate.from && movement.createdAt <= candidate.until
+    ));
+    if (!window) continue;
+
+    incidents.push({
+      product: { _id: product._id, name: product.name, sku: product.sku },
+      at: movement.createdAt,
+      stockAfter: movement.stockAfter,
+      minStock: product.minStock,
+      purchaseOrder: { _id: window.purchaseOrder, poNumber: window.poNumber }
+    });
+  }
+
+  return incidents;
+};
+
+// Headline metrics and a 0-100 score from analysed purchase orders
+const summarise = (analysed, priceHistory, incidents) => {
+  const timed = analysed.filter(purchaseOrder => purchaseOrder.onTime !== null);
+  const onTime = timed.filter(purchaseOrder => purchaseOrder.onTime).length;
+  const leadTimes = analysed.map(purchaseOrder => purchaseOrder.leadTimeDays).filter(days => days !== null);
+  const due = analysed.filter(purchaseOrder => purchaseOrder.due);
+  const ordered = due.reduce((sum, purchaseOrder) => sum + purchaseOrder.quantityOrdered, 0);
+  const received = due.reduce((sum, purchaseOrder) => sum + purchaseOrder.quantityReceived, 0);
+
+  const onTimeRate = ratio(onTime, timed.length);
+  const fillRate = ratio(Math.min(received, ordered), ordered);
+
+  // Average of the delivery rates, less a penalty for stock-outs caused by late deliveries
+  const rates = [onTimeRate, fillRate].filter(rate => rate !== null);
+  const score = rates.length > 0
+    ? Math.max(0, round((rates.reduce((sum, rate) => sum + rate, 0) / rates.length) * 100
+      - Math.min(incidents.length * INCIDENT_PENALTY, MAX_INCIDENT_PENALTY), 1))
+    : null;
+
+  const changed = priceHistory.filter(item => item.changePercent !== null && item.history.length > 1);
+
+  return {
+    score,
+    purchaseOrders: analysed.length,
+    deliveriesMeasured: timed.length,
+    onTimeDeliveries: onTime,
+    lateDeliveries: timed.length - onTime,
+    onTimeRate,
+    averageLeadTimeDays: leadTimes.length > 0
+      ? round(leadTimes.reduce((sum, days) => sum + days, 0) / leadTimes.length, 1)
+      : null,
+    quantityOrdered: ordered,
+    quantityReceived: received,
+    fillRate,
+    priceChanges: priceHistory.reduce((sum, item) => sum + item.changes, 0),
+    priceIncreases: priceHistory.reduce((sum, item) => sum + item.increases, 0),
+    averagePriceChangePercent: changed.length > 0
+      ? round(changed.reduce((sum, item) => sum + item.changePercent, 0) / changed.length)
+      : null,
+    lowStockIncidents: incidents.length
+  };
+};
+
+// Purchase orders sent to the given suppliers in the last `days` days, grouped by supplier
+const loadPurchaseOrders = async (supplierIds, days) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const purchaseOrders = await PurchaseOrder.find({
+    supplier: { $in: supplierIds },
+    sentAt: { $gte: since }
+  }).select('poNumber supplier status lines receipts expectedDeliveryDate sentAt receivedAt cancelledAt').lean();
+
+  const bySupplier = new Map();
+  for (const purchaseOrder of purchaseOrders) {
+    const key = purchaseOrder.supplier.toString();
+    if (!bySupplier.has(key)) bySupplier.set(key, []);
+    bySupplier.get(key).push(purchaseOrder);
+  }
+  return bySupplier;
+};
+
+const buildScorecard = async (purchaseOrders) => {
+  const now = new Date();
+  const analysed = purchaseOrders.map(purchaseOrder => analysePurchaseOrder(purchaseOrder, now));
+  const priceHistory = buildPriceHistory(purchaseOrders);
+  const incidents = await findLowStockIncidents(analysed.flatMap(purchaseOrder => purchaseOrder.lateWindows));
+
+  return {
+    summary: summarise(analysed, priceHistory, incidents),
+    analysed,
+    priceHistory,
+    incidents
+  };
+};
+
+// Ranked scorecards for every supplier (or only active ones).
+// Suppliers without measurable deliveries have a null score and rank last.
+// options: { days, sort, activeOnly }
+export const getSupplierScorecards = async ({ days = 90, sort = 'score', activeOnly = false } = {}) => {
+  const filter = activeOnly ? { isActive: true } : {};
+  const suppliers = await Supplier.find(filter).select('name company email isActive').lean();
+  const bySupplier = await loadPurchaseOrders(suppliers.map(supplier => supplier._id), days);
+
+  const scorecards = [];
+  for (const supplier of suppliers) {
+    const { summary } = await buildScorecard(bySupplier.get(supplier._id.toString()) || []);
+    scorecards.push({ supplier, ...summary });
+  }
+
+  const direction = SCORECARD_SORTS[sort] || SCORECARD_SORTS.score;
+  const key = SCORECARD_SORTS[sort] ? sort : 'score';
+  scorecards.sort((a, b) => {
+    if (a[key] === null && b[key] === null) return 0;
+    if (a[key] === null) return 1;
+    if (b[key] === null) return -1;
+    return (a[key] - b[key]) * direction;
+  });
+
+  return scorecards.map((scorecard, index) => ({ rank: index + 1, ...scorecard }));
+};
+
+// Full scorecard for one supplier: headline metrics plus the deliveries,
+// price history and low-stock incidents behind them. Resolves to null for an unknown supplier.
+export const getSupplierScorecard = async (supplierId, { days = 90 } = {}) => {
+  const supplier = await Supplier.findById(supplierId).select('name company email isActive').lean();
+  if (!supplier) return null;
+
+  const bySupplier = await loadPurchaseOrders([supplier._id], days);
+  const { summary, analysed, priceHistory, incidents } = await buildScorecard(bySupplier.get(supplier._id.toString()) || []);
+
+  return {
+    supplier,
+    period: { days, since: new Date(Date.now() - days * DAY_MS) },
+    summary,
+    deliveries: analysed
+      .map(({ due, lateWindows, ...delivery }) => delivery)
+      .sort((a, b) => b.sentAt - a.sentAt),
+    priceHistory,
+    lowStockIncidents: incidents
+  };
+};